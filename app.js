@@ -8,17 +8,35 @@
 const state = {
     speciesList: [],
     metadata: null,
-    cache: {},        // taxid -> { aliases, nameLookup, ppi, info, go, kegg, keggPathways, otherTerms, genePatterns }
+    cache: {},        // taxid -> { aliases, nameLookup, ppi, info, go, kegg, keggPathways, otherTerms, genePatterns } (persisted via DataCache)
+    loadReports: {},  // taxid -> { source, bytes, files: [{ file, status, parsed, keys, error }] }
+    dataReleases: {}, // taxid -> { version, manifest } of the loaded bundle, for lazily fetched PPI shards
     sourceSpecies: null,
     targetSpecies: [],
     genes: [],
+    geneLists: null,   // [{ name, genes }] when the input holds several named lists (">name" lines)
+    resolvedGenes: [], // [{ query, proteinId, candidates, chosen, suggestions, origin }] of the last analysis
+    geneAssignments: null, // mixed-species lists: [{ query, taxid, via, alsoIn }]
+    geneScores: null,      // query -> score from an uploaded table (see Gene List Files)
+    geneScoreSource: '',
     scoreThreshold: 700,
     goEnrichmentResults: null,
     keggEnrichmentResults: null,
-    enrichmentPlotType: { go: 'bar', kegg: 'bar' },
+    otherEnrichmentResults: null, // one category of other_terms (Pfam, InterPro, ...)
+    otherCategory: '',
+    enrichmentContext: null, // inputs of the last analysis, to rerun other-term enrichment per category
+    listComparison: null,    // per-list GO/KEGG enrichment of several named lists
+    compareView: { source: 'go', topN: 10 },
+    enrichmentPlotType: { go: 'bar', kegg: 'bar', other: 'bar' },
+    goRedundancy: { threshold: 0.7, repsOnly: false }, // GO semantic-similarity clustering
+    goOntologyFilter: 'all', // GO tab: 'all' | 'BP' | 'MF' | 'CC'
+    gseaSelectedTerm: { go: null, kegg: null, other: null }, // set shown in the running-score plot
     phylogenyData: null,
+    networkExpanded: new Set(), // non-query proteins whose partners were added to the network
     _orthogroupData: null,
     _orthoLoadFailed: false,
+    goOntology: null,       // { version, terms, alt_ids } from data/go/ontology.json
+    _goOntologyLoadFailed: false,
 };
 window.state = state;
 
@@ -30,6 +48,7 @@ const els = {
     sourceSelect: $('#source-species'),
     geneInput: $('#gene-input'),
     autoDetectHint: $('#auto-detect-hint'),
+    mixedMode: $('#mixed-species-mode'),
     targetList: $('#target-species-list'),
     scoreSlider: $('#score-threshold'),
     scoreValue: $('#score-value-input'),
@@ -45,68 +64,323 @@ const els = {
 };
 
 // ===== Data Loading =====
-async function fetchJSON(path) {
+/** Start a load-report entry for one file. */
+function reportEntry(file, report) {
+    const entry = { file, status: 0, parsed: false, keys: 0, integrity: 'unchecked', rejected: false, error: '' };
+    if (report) report.files.push(entry);
+    return entry;
+}
+
+/**
+ * Fetch and parse a JSON file. Returns null on failure.
+ * @param {Object} [report] - optional load report; receives { bytes } and one
+ *   { file, status, parsed, keys, integrity, rejected, error } entry per fetched file
+ * @param {Object} [expected] - optional manifest integrity record { sha256, records };
+ *   a file that does not match is rejected (null is returned)
+ */
+async function fetchJSON(path, report, expected) {
+    const entry = reportEntry(path.split('/').pop(), report);
     try {
         const resp = await fetch(path);
+        entry.status = resp.status;
         if (!resp.ok) {
+            entry.error = `HTTP ${resp.status}`;
             console.warn(`Failed to load ${path}: HTTP ${resp.status}`);
             return null;
         }
-        return await resp.json();
+        return await parseJSONBuffer(await resp.arrayBuffer(), path, entry, report, expected);
     } catch (err) {
+        entry.error = err instanceof SyntaxError ? `Invalid JSON: ${err.message}` : String(err.message || err);
         console.warn(`Failed to load ${path}:`, err);
         return null;
     }
 }
 
+/** Like fetchJSON, for a file from an imported folder or archive (name -> ArrayBuffer map). */
+async function readLocalJSON(files, name, report, expected) {
+    const entry = reportEntry(name, report);
+    const buffer = files.get(name);
+    if (!buffer) {
+        entry.error = 'Missing from import';
+        return null;
+    }
+    entry.status = 200;
+    try {
+        return await parseJSONBuffer(buffer, name, entry, report, expected);
+    } catch (err) {
+        entry.error = err instanceof SyntaxError ? `Invalid JSON: ${err.message}` : String(err.message || err);
+        return null;
+    }
+}
+
+/**
+ * Verify a downloaded buffer against its manifest record and parse it.
+ * Fills in the report entry; returns null when the file is rejected. Throws on invalid JSON.
+ */
+async function parseJSONBuffer(buffer, path, entry, report, expected) {
+    if (report) report.bytes += buffer.byteLength;
+
+    if (expected && expected.sha256) {
+        const digest = await sha256Hex(buffer);
+        if (digest === null) {
+            entry.integrity = 'unavailable';
+        } else if (digest !== expected.sha256.toLowerCase()) {
+            entry.integrity = 'mismatch';
+            entry.rejected = true;
+            entry.error = `SHA-256 mismatch (expected ${expected.sha256.slice(0, 12)}…, got ${digest.slice(0, 12)}…)`;
+            console.warn(`Rejected ${path}: ${entry.error}`);
+            return null;
+        } else {
+            entry.integrity = 'verified';
+        }
+    }
+
+    const data = JSON.parse(new TextDecoder().decode(buffer));
+    entry.parsed = true;
+    entry.keys = data && typeof data === 'object' ? Object.keys(data).length : 0;
+
+    if (expected && Number.isInteger(expected.records) && entry.keys !== expected.records) {
+        entry.integrity = 'mismatch';
+        entry.rejected = true;
+        entry.error = `Record count mismatch (expected ${expected.records}, got ${entry.keys})`;
+        console.warn(`Rejected ${path}: ${entry.error}`);
+        return null;
+    }
+    return data;
+}
+
+/**
+ * Hex SHA-256 of a buffer via SubtleCrypto.
+ * Returns null where SubtleCrypto is unavailable (non-secure contexts such as plain http).
+ */
+async function sha256Hex(buffer) {
+    if (!window.crypto || !window.crypto.subtle) return null;
+    const hash = await window.crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, '0')).join('');
+}
+
 /**
  * Load a possibly-chunked JSON file. If chunkCount > 1, loads stem_0.json … stem_N.json
  * and merges them into one object via Object.assign.
+ * @param {string|Map} base - URL directory, or the files of an imported bundle
+ * @param {Object} [integrity] - manifest "integrity" map: filename -> { sha256, records }
  */
-async function loadChunkedJSON(base, stem, chunkCount) {
+async function loadChunkedJSON(base, stem, chunkCount, report, integrity) {
+    const checks = integrity || {};
+    const read = (file) => typeof base === 'string'
+        ? fetchJSON(`${base}/${file}`, report, checks[file])
+        : readLocalJSON(base, file, report, checks[file]);
     if (chunkCount <= 1) {
-        return await fetchJSON(`${base}/${stem}.json`);
+        return await read(`${stem}.json`);
     }
     const chunks = await Promise.all(
-        Array.from({ length: chunkCount }, (_, i) =>
-            fetchJSON(`${base}/${stem}_${i}.json`)
-        )
+        Array.from({ length: chunkCount }, (_, i) => read(`${stem}_${i}.json`))
     );
     return Object.assign({}, ...chunks.filter(Boolean));
 }
 
+/** Files in a load report that failed to download, parse or verify. */
+function failedFiles(report) {
+    return report ? report.files.filter(f => !f.parsed || f.rejected) : [];
+}
+
+/**
+ * Version string for a species bundle. A cached bundle is reused only while
+ * the data release (metadata.json) and the species manifest are unchanged.
+ */
+function dataVersion(manifest) {
+    const meta = state.metadata || {};
+    return JSON.stringify({
+        download_date: meta.download_date || null,
+        tool_version: meta.tool_version || null,
+        manifest: manifest || null,
+    });
+}
+
 async function loadSpeciesData(taxid) {
     if (state.cache[taxid]) return state.cache[taxid];
     showLoading(`Loading ${getSpeciesName(taxid)} data...`);
 
+    // Imported species exist only in the browser cache
+    if (isImportedSpecies(taxid)) {
+        const imported = await window.DataCache.getBundle(taxid);
+        if (!imported) throw new Error(`Imported species ${getSpeciesName(taxid)} is no longer in browser storage`);
+        state.cache[taxid] = imported.data;
+        state.loadReports[taxid] = { ...imported.entry.report, source: 'import' };
+        return state.cache[taxid];
+    }
+
     const base = `data/${taxid}`;
+    const report = { taxid, source: 'network', bytes: 0, files: [], loadedAt: new Date().toISOString() };
 
-    // Load manifest to know how many chunks each file has
-    const manifest = await fetchJSON(`${base}/manifest.json`);
+    // Load manifest to know how many chunks each file has (and, optionally,
+    // per-file SHA-256 / record counts under "integrity")
+    const manifest = await fetchJSON(`${base}/manifest.json`, report);
     const m = manifest || {};  // fallback: treat all as single files
 
+    // Reuse the persistent copy while it matches the current release.
+    // Without a manifest (e.g. offline) any cached copy beats nothing.
+    const version = dataVersion(manifest);
+    const cached = await window.DataCache.getBundle(taxid);
+    if (cached && (cached.entry.version === version || !manifest)) {
+        state.cache[taxid] = cached.data;
+        state.dataReleases[taxid] = { version: cached.entry.version, manifest: m };
+        state.loadReports[taxid] = { ...(cached.entry.report || report), source: 'cache' };
+        return state.cache[taxid];
+    }
+
+    showLoading(`Downloading ${getSpeciesName(taxid)} data...`);
+    state.cache[taxid] = await loadBundle(base, m, report);
+    state.loadReports[taxid] = report;
+    state.dataReleases[taxid] = { version, manifest: m };
+
+    // Never persist partial data: a failed chunk would otherwise stick until the next release
+    if (manifest && failedFiles(report).length === 0) {
+        showLoading(`Saving ${getSpeciesName(taxid)} data for next time...`);
+        await window.DataCache.putBundle(taxid, {
+            taxid,
+            version,
+            downloadDate: state.metadata?.download_date || '',
+            toolVersion: state.metadata?.tool_version || '',
+            size: report.bytes,
+            report,
+        }, state.cache[taxid]);
+    }
+    return state.cache[taxid];
+}
+
+/**
+ * Load every file of a species bundle described by a manifest.
+ * @param {string|Map} base - URL directory, or the files of an imported bundle
+ */
+async function loadBundle(base, m, report) {
+    // Sharded layouts ship only the shard index up front; shards are fetched on demand
+    const ppiStem = m.ppi_shards ? 'ppi_index' : 'ppi';
+
     const [aliases, nameLookup, ppi, info, go, kegg, keggPathways, otherTerms] = await Promise.all([
-        loadChunkedJSON(base, 'aliases',          m.aliases || 1),
-        loadChunkedJSON(base, 'name_lookup',      m.name_lookup || 1),
-        loadChunkedJSON(base, 'ppi',              m.ppi || 1),
-        loadChunkedJSON(base, 'info',             m.info || 1),
-        loadChunkedJSON(base, 'go',               m.go || 1),
-        loadChunkedJSON(base, 'kegg_enrichment',  m.kegg_enrichment || 1),
-        loadChunkedJSON(base, 'kegg_pathways',    m.kegg_pathways || 1),
-        loadChunkedJSON(base, 'other_terms',      m.other_terms || 1),
+        loadChunkedJSON(base, 'aliases',          m.aliases || 1, report, m.integrity),
+        loadChunkedJSON(base, 'name_lookup',      m.name_lookup || 1, report, m.integrity),
+        loadChunkedJSON(base, ppiStem,            m[ppiStem] || 1, report, m.integrity),
+        loadChunkedJSON(base, 'info',             m.info || 1, report, m.integrity),
+        loadChunkedJSON(base, 'go',               m.go || 1, report, m.integrity),
+        loadChunkedJSON(base, 'kegg_enrichment',  m.kegg_enrichment || 1, report, m.integrity),
+        loadChunkedJSON(base, 'kegg_pathways',    m.kegg_pathways || 1, report, m.integrity),
+        loadChunkedJSON(base, 'other_terms',      m.other_terms || 1, report, m.integrity),
     ]);
 
-    state.cache[taxid] = {
+    return {
         aliases: aliases || {},
         nameLookup: nameLookup || {},
-        ppi: ppi || {},
+        ppi: (!m.ppi_shards && ppi) || {},
+        ppiIndex: m.ppi_shards ? ppi : null,
         info: info || {},
         go: go || {},
         kegg: kegg || {},
         keggPathways: keggPathways || { pathways: {}, gene_pathways: {} },
         otherTerms: otherTerms || {},
     };
-    return state.cache[taxid];
+}
+
+// ===== Sharded PPI =====
+// Large proteomes split ppi into shards keyed by a hash of the protein ID:
+// ppi_index.json maps hash buckets to shard numbers (ppi_shard_N.json).
+const _ppiShardLoads = {}; // `${taxid}:ppi_shard_${n}` -> Promise
+
+/** 32-bit FNV-1a hash over UTF-16 code units (protein IDs are ASCII). */
+function fnv1a32(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function ppiShardOf(index, proteinId) {
+    return index.bucket_shard[fnv1a32(proteinId) % index.buckets];
+}
+
+/**
+ * Make sure interactions for the given proteins are in state.cache[taxid].ppi,
+ * loading only the shards that hold them. No-op for unsharded species.
+ */
+async function ensurePPI(taxid, proteinIds) {
+    const data = state.cache[taxid];
+    if (!data || !data.ppiIndex) return;
+    const shards = new Set(proteinIds.filter(Boolean).map(pid => ppiShardOf(data.ppiIndex, pid)));
+    await Promise.all([...shards].map(n => loadPPIShard(taxid, n)));
+}
+
+function loadPPIShard(taxid, shard) {
+    const key = `${taxid}:ppi_shard_${shard}`;
+    if (!_ppiShardLoads[key]) {
+        _ppiShardLoads[key] = fetchPPIShard(taxid, shard, key).then(shardData => {
+            if (shardData) Object.assign(state.cache[taxid].ppi, shardData);
+            else delete _ppiShardLoads[key]; // retry on next use
+        });
+    }
+    return _ppiShardLoads[key];
+}
+
+/** Read a shard from the persistent cache, or download, verify and store it. */
+async function fetchPPIShard(taxid, shard, key) {
+    const release = state.dataReleases[taxid] || {};
+    const cached = await window.DataCache.getBundle(key);
+    if (cached && cached.entry.version === release.version) return cached.data;
+
+    const file = `ppi_shard_${shard}.json`;
+    const integrity = (release.manifest && release.manifest.integrity) || {};
+    const shardReport = { bytes: 0, files: [] };
+    const shardData = await fetchJSON(`data/${taxid}/${file}`, shardReport, integrity[file]);
+
+    const report = state.loadReports[taxid];
+    if (report) {
+        report.files.push(...shardReport.files);
+        report.bytes += shardReport.bytes;
+    }
+    if (shardData && release.version) {
+        await window.DataCache.putBundle(key, {
+            taxid,
+            version: release.version,
+            downloadDate: state.metadata?.download_date || '',
+            toolVersion: state.metadata?.tool_version || '',
+            size: shardReport.bytes,
+        }, shardData);
+    }
+    return shardData;
+}
+
+/**
+ * Warnings for analyses built on a species whose files failed to load.
+ * @param {string[]} [stems] - only consider these files (e.g. ['go']); all files when omitted
+ * @returns {string[]} human-readable warnings, empty when data is complete
+ */
+function partialDataWarnings(taxid, stems) {
+    const failed = failedFiles(state.loadReports[taxid]).filter(f =>
+        !stems || stems.some(stem => f.file === `${stem}.json` || f.file.startsWith(`${stem}_`)));
+    return failed.map(f => `Partial data: ${getSpeciesName(taxid)} ${f.file} failed to load (${f.error || 'unknown error'})`);
+}
+
+function updateDataHealthBanner(taxids) {
+    const banner = $('#data-health-banner');
+    if (!banner) return;
+    const affected = taxids.filter(t => failedFiles(state.loadReports[t]).length > 0);
+    if (affected.length === 0) {
+        banner.hidden = true;
+        return;
+    }
+    const parts = affected.map(t => {
+        const files = failedFiles(state.loadReports[t]).map(f => f.file);
+        return `${italicSpeciesName(getSpeciesName(t))} (${esc(files.join(', '))})`;
+    });
+    banner.innerHTML = `<strong>Incomplete data.</strong> Some files failed to load for ${parts.join('; ')}. Results built on these files may be missing entries. <a href="#" class="data-health-details">View diagnostics</a>`;
+    banner.hidden = false;
+    banner.querySelector('.data-health-details').addEventListener('click', (e) => {
+        e.preventDefault();
+        els.dbModal.hidden = false;
+        switchModalTab('diagnostics-panel');
+        renderDiagnostics();
+    });
 }
 
 function getSpeciesName(taxid) {
@@ -114,6 +388,10 @@ function getSpeciesName(taxid) {
     return sp ? sp.compact_name : taxid;
 }
 
+function isImportedSpecies(taxid) {
+    return state.speciesList.some(s => s.taxid === taxid && s.imported);
+}
+
 /** Wrap species name with italic genus (first word italic, rest normal) for HTML */
 function italicSpeciesName(name) {
     const parts = name.split(' ');
@@ -125,16 +403,66 @@ function italicSpeciesName(name) {
 
 // ===== Gene Resolution =====
 function resolveGene(geneName, taxid) {
+    return resolveGeneCandidates(geneName, taxid)[0] || null;
+}
+
+/**
+ * Every protein a gene name can refer to. More than one entry means the name is
+ * ambiguous (shared alias, paralog name or case-folded collision).
+ * @returns {string[]} protein IDs, best match first
+ */
+function resolveGeneCandidates(geneName, taxid) {
     const data = state.cache[taxid];
-    if (!data || !data.nameLookup) return null;
+    if (!data || !data.nameLookup) return [];
+    // An exact protein ID is never ambiguous
+    if (data.info && data.info[geneName]) return [geneName];
+
     const key = geneName.toLowerCase().trim();
     const matches = data.nameLookup[key];
-    if (matches && matches.length > 0) return matches[0];
+    if (matches && matches.length > 0) return [...new Set(matches)];
 
-    if (data.aliases && data.aliases[geneName]) return geneName;
-    if (data.info && data.info[geneName]) return geneName;
+    if (data.aliases && data.aliases[geneName]) return [geneName];
+    return [];
+}
 
-    return null;
+/**
+ * Resolve the query list, keeping the candidates of ambiguous names.
+ * @returns {Array} [{ query, proteinId, candidates, chosen }]; chosen is set once the user picks
+ */
+function resolveGeneList(genes, taxid) {
+    return genes.map(query => {
+        const candidates = resolveGeneCandidates(query, taxid);
+        return { query, proteinId: candidates[0] || null, candidates, chosen: false };
+    });
+}
+
+/**
+ * Describe genes mapped from other species and ambiguous queries with the
+ * protein used for each, for export headers.
+ * @returns {string[]}
+ */
+function resolutionNotes(resolvedGenes, taxid) {
+    const notes = [];
+    for (const g of resolvedGenes || []) {
+        if (g.origin) {
+            notes.push(`Query "${g.query}" (${getSpeciesName(g.origin.taxid)} ${g.origin.proteinId || 'not found'})` +
+                (g.proteinId ? ` mapped via orthogroup ${g.origin.ogId} to ${g.proteinId} (${getPreferredName(g.proteinId, taxid)})`
+                    : ' has no ortholog in the source species'));
+        }
+        if (g.candidates && g.candidates.length > 1) {
+            const others = g.candidates.filter(c => c !== g.proteinId);
+            notes.push(`Ambiguous query "${g.query}" resolved to ${g.proteinId} (${getPreferredName(g.proteinId, taxid)})` +
+                ` ${g.chosen ? 'by user choice' : 'as first match'}; other candidates: ${others.join(', ')}`);
+        }
+    }
+    return notes;
+}
+
+/** Tag marking a result section whose query name matched several proteins. */
+function ambiguityTag(candidates, proteinId, taxid) {
+    if (!candidates || candidates.length <= 1) return '';
+    const others = candidates.filter(c => c !== proteinId).map(c => getPreferredName(c, taxid));
+    return ` <span class="tag tag-ambiguous" title="Also matches: ${esc(others.join(', '))}">1 of ${candidates.length} matches</span>`;
 }
 
 function getPreferredName(proteinId, taxid) {
@@ -145,19 +473,161 @@ function getPreferredName(proteinId, taxid) {
     return proteinId;
 }
 
-// ===== Auto-Detection =====
+// ===== Gene Name Suggestions =====
+const _suggestIndex = {}; // taxid -> { names: Map lowercase -> display name, byLength: [[lowercase]], normalized: Map }
+const SUGGEST_LIMIT = 3;
+const SUGGEST_MAX_QUERIES = 25; // bounds the search time for long lists of unknown names
 
 /**
- * Attempt to detect species from input gene names using regex patterns.
- * e.g. SPAC/SPBC/SPCC -> S. pombe, YAL/YBR -> S. cerevisiae
+ * Normalize a gene name for loose comparison: case, punctuation and the
+ * strand suffix of systematic IDs (SPAC1F3.01 vs spac1f3.01c) are ignored.
  */
-function detectSpeciesFromInput(input) {
-    input = input.trim();
-    if (!input) return null;
+function normalizeGeneKey(name) {
+    return name.toLowerCase().replace(/[\s._\-]/g, '').replace(/(\d)c$/, '$1');
+}
 
-    const geneSample = input.split(/[,\n\r\s]+/).filter(Boolean).slice(0, 5);
-    if (geneSample.length === 0) return null;
+/** Names of a species that resolve to a protein, indexed for approximate search. */
+function getSuggestIndex(taxid) {
+    if (_suggestIndex[taxid]) return _suggestIndex[taxid];
+    const data = state.cache[taxid];
+    const names = new Map();
+    // Prefer the original capitalisation from aliases and preferred names
+    for (const list of Object.values(data.aliases || {})) {
+        for (const a of list) {
+            const key = a.toLowerCase();
+            if (!names.has(key) && data.nameLookup[key]) names.set(key, a);
+        }
+    }
+    for (const [pid, entry] of Object.entries(data.info || {})) {
+        if (entry.name && data.nameLookup[entry.name.toLowerCase()]) names.set(entry.name.toLowerCase(), entry.name);
+        if (!names.has(pid.toLowerCase())) names.set(pid.toLowerCase(), pid);
+    }
+    for (const key of Object.keys(data.nameLookup)) {
+        if (!names.has(key)) names.set(key, key);
+    }
+
+    const byLength = [];
+    const normalized = new Map();
+    for (const key of names.keys()) {
+        (byLength[key.length] = byLength[key.length] || []).push(key);
+        const norm = normalizeGeneKey(key);
+        if (!normalized.has(norm)) normalized.set(norm, key);
+    }
+    _suggestIndex[taxid] = { names, byLength, normalized };
+    return _suggestIndex[taxid];
+}
+
+/**
+ * Levenshtein distance, or Infinity once it exceeds max.
+ * Adjacent transpositions count as one edit (typing errors such as cdc13 -> cd1c3).
+ */
+function boundedEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return Infinity;
+    const n = b.length;
+    let prevPrev = new Int32Array(n + 1);
+    let prev = new Int32Array(n + 1);
+    let row = new Int32Array(n + 1);
+    for (let j = 0; j <= n; j++) prev[j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        row[0] = i;
+        let rowMin = i;
+        for (let j = 1; j <= n; j++) {
+            let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && prevPrev[j - 2] + 1 < d) {
+                d = prevPrev[j - 2] + 1;
+            }
+            row[j] = d;
+            if (d < rowMin) rowMin = d;
+        }
+        if (rowMin > max) return Infinity;
+        [prevPrev, prev, row] = [prev, row, prevPrev];
+    }
+    return prev[n] <= max ? prev[n] : Infinity;
+}
+
+/**
+ * Ranked "did you mean" suggestions for a name that did not resolve.
+ * Ranking: normalized-ID match, then edit distance (1 edit per 4 characters, at
+ * least 1), then names starting with the query; ties go to the shorter name.
+ * @returns {Array} [{ name, proteinId, reason: 'normalized'|'edit'|'prefix' }], one per protein
+ */
+function suggestGeneNames(query, taxid, limit = SUGGEST_LIMIT) {
+    const data = state.cache[taxid];
+    if (!data || !data.nameLookup) return [];
+    const index = getSuggestIndex(taxid);
+    const q = query.toLowerCase().trim();
+    const scored = new Map(); // key -> score
+
+    const norm = index.normalized.get(normalizeGeneKey(q));
+    if (norm) scored.set(norm, 0);
+
+    const maxDist = Math.max(1, Math.floor(q.length / 4));
+    for (let len = q.length - maxDist; len <= q.length + maxDist; len++) {
+        for (const key of index.byLength[len] || []) {
+            const d = boundedEditDistance(q, key, maxDist);
+            if (d !== Infinity && !scored.has(key)) scored.set(key, d);
+        }
+    }
+
+    if (q.length >= 3) {
+        for (let len = q.length + 1; len < index.byLength.length; len++) {
+            for (const key of index.byLength[len] || []) {
+                if (key.startsWith(q) && !scored.has(key)) scored.set(key, maxDist + 1 + (key.length - q.length) / 100);
+            }
+        }
+    }
+
+    const suggestions = [];
+    const seen = new Set();
+    const ranked = [...scored.entries()].sort((a, b) => a[1] - b[1] || a[0].length - b[0].length);
+    for (const [key, score] of ranked) {
+        const proteinId = data.nameLookup[key]?.[0] || (data.info?.[index.names.get(key)] ? index.names.get(key) : null);
+        if (!proteinId || seen.has(proteinId)) continue;
+        seen.add(proteinId);
+        const reason = score === 0 && key === norm ? 'normalized' : score <= maxDist ? 'edit' : 'prefix';
+        suggestions.push({ name: index.names.get(key), proteinId, reason });
+        if (suggestions.length >= limit) break;
+    }
+    return suggestions;
+}
+
+/** Attach suggestions to the unresolved entries of a resolved gene list. */
+function addGeneSuggestions(resolvedGenes, taxid) {
+    // Genes mapped from another species have no source-species name to correct
+    const missing = resolvedGenes.filter(g => !g.proteinId && !g.origin).slice(0, SUGGEST_MAX_QUERIES);
+    for (const g of missing) g.suggestions = suggestGeneNames(g.query, taxid);
+}
+
+/** Replace one query in the gene input, keeping the other entries and separators. */
+function replaceQueryInInput(query, replacement) {
+    els.geneInput.value = els.geneInput.value
+        .split(/([,\n\r]+)/)
+        .map(part => part.trim() === query ? part.replace(query, replacement) : part)
+        .join('');
+}
 
+/** Apply suggestions to the gene list and re-run the analysis. */
+function applySuggestions(replacements) {
+    if (replacements.length === 0) return;
+    for (const [query, name] of replacements) replaceQueryInInput(query, name);
+    updateAutoDetectHint();
+    runAnalysis();
+}
+
+function onSuggestionClick(e) {
+    const chip = e.target.closest('[data-suggest-query]');
+    if (chip) return applySuggestions([[chip.dataset.suggestQuery, chip.dataset.suggestName]]);
+    if (e.target.closest('[data-suggest-all]')) {
+        applySuggestions(state.resolvedGenes
+            .filter(g => !g.proteinId && g.suggestions && g.suggestions.length > 0)
+            .map(g => [g.query, g.suggestions[0].name]));
+    }
+}
+
+// ===== Auto-Detection =====
+
+/** Gene ID patterns of the built-in model organisms plus those of imported species. */
+function getSpeciesPatterns() {
     // Model organism gene name patterns
     const patterns = [
         { regex: /^SP[ABCM][A-Z]/i, taxid: '4896' },      // S. pombe (SPAC, SPBC, SPCC, SPMIT)
@@ -168,16 +638,43 @@ function detectSpeciesFromInput(input) {
         { regex: /^(MGI:|ENSMUSG)/i, taxid: '10090' },      // M. musculus
         { regex: /^ENSG\d/i, taxid: '9606' },               // H. sapiens
     ];
+    // Imported species may bring their own ID pattern
+    for (const sp of state.speciesList) {
+        if (!sp.gene_pattern) continue;
+        try {
+            patterns.push({ regex: new RegExp(sp.gene_pattern, 'i'), taxid: sp.taxid });
+        } catch (e) {
+            console.warn(`Ignoring invalid gene pattern for ${sp.taxid}:`, e);
+        }
+    }
+    const availableTaxids = new Set(state.speciesList.map(s => s.taxid));
+    return patterns.filter(p => availableTaxids.has(p.taxid));
+}
+
+/** @returns {string|null} taxid of the first pattern matching the gene */
+function detectSpeciesByPattern(gene, patterns) {
+    const match = patterns.find(p => p.regex.test(gene));
+    return match ? match.taxid : null;
+}
+
+/**
+ * Attempt to detect species from input gene names using regex patterns.
+ * e.g. SPAC/SPBC/SPCC -> S. pombe, YAL/YBR -> S. cerevisiae
+ */
+function detectSpeciesFromInput(input) {
+    input = input.trim();
+    if (!input) return null;
+
+    // ">name" headers of several lists are not genes
+    const geneSample = window.GeneFile.parseGeneLists(input).flatMap(l => l.genes).join(' ').split(/\s+/).filter(Boolean).slice(0, 5);
+    if (geneSample.length === 0) return null;
 
     // Check each gene against patterns
+    const patterns = getSpeciesPatterns();
     const counts = {};
-    const availableTaxids = new Set(state.speciesList.map(s => s.taxid));
-
     for (const gene of geneSample) {
         for (const p of patterns) {
-            if (p.regex.test(gene) && availableTaxids.has(p.taxid)) {
-                counts[p.taxid] = (counts[p.taxid] || 0) + 1;
-            }
+            if (p.regex.test(gene)) counts[p.taxid] = (counts[p.taxid] || 0) + 1;
         }
     }
 
@@ -194,8 +691,68 @@ function detectSpeciesFromInput(input) {
     return bestTaxid; // taxid or null
 }
 
+/**
+ * Assign every gene of a mixed-species list to a species: by ID pattern first,
+ * then by membership in the name lookup of the candidate species (in order, so
+ * the source species wins for names shared across species).
+ * @param {string[]} genes
+ * @param {string[]} taxids - loaded candidate species, source species first
+ * @returns {Array} [{ query, taxid, via: 'pattern'|'name'|null, alsoIn: [taxid] }]
+ */
+function assignGeneSpecies(genes, taxids) {
+    const patterns = getSpeciesPatterns();
+    return genes.map(query => {
+        const found = taxids.filter(t => resolveGeneCandidates(query, t).length > 0);
+        const byPattern = detectSpeciesByPattern(query, patterns);
+        if (byPattern && taxids.includes(byPattern)) {
+            return { query, taxid: byPattern, via: 'pattern', alsoIn: found.filter(t => t !== byPattern) };
+        }
+        if (found.length > 0) return { query, taxid: found[0], via: 'name', alsoIn: found.slice(1) };
+        return { query, taxid: null, via: null, alsoIn: [] };
+    });
+}
+
+/**
+ * Resolve a gene of another species and map it through its orthogroup to the
+ * reference species. Every reference member becomes a candidate, so co-orthologs
+ * go through the same review as ambiguous names.
+ * @returns {Object} resolved-gene entry with origin { taxid, proteinId, ogId }
+ */
+function mapGeneToReference(query, fromTaxid, refTaxid, orthogroups) {
+    const proteinId = resolveGene(query, fromTaxid);
+    const origin = { taxid: fromTaxid, proteinId, ogId: null };
+    let candidates = [];
+    if (proteinId && orthogroups && window.Phylogeny) {
+        const og = window.Phylogeny.findOrthogroup(proteinId, fromTaxid, { orthogroups });
+        if (og) {
+            origin.ogId = og.ogId;
+            candidates = (orthogroups.og_members[og.ogId] || [])
+                .filter(m => m.species === refTaxid)
+                .map(m => m.gene.includes('.') ? m.gene.split('.').slice(1).join('.') : m.gene);
+        }
+    }
+    return { query, proteinId: candidates[0] || null, candidates, chosen: false, origin };
+}
+
 function updateAutoDetectHint() {
     const text = els.geneInput.value;
+
+    // Mixed lists: summarise the species the ID patterns point to instead of suggesting a switch
+    if (els.mixedMode.value) {
+        const patterns = getSpeciesPatterns();
+        const counts = {};
+        for (const gene of window.GeneFile.parseGeneLists(text).flatMap(l => l.genes)) {
+            const taxid = detectSpeciesByPattern(gene, patterns) || '';
+            counts[taxid] = (counts[taxid] || 0) + 1;
+        }
+        const parts = Object.entries(counts).filter(([t]) => t).map(([t, n]) => `${n} ${italicSpeciesName(getSpeciesName(t))}`);
+        if (counts['']) parts.push(`${counts['']} by name`);
+        els.autoDetectHint.innerHTML = parts.length ? `Detected: ${parts.join(', ')}` : '';
+        els.autoDetectHint.hidden = parts.length === 0;
+        els.autoDetectHint.onclick = null;
+        return;
+    }
+
     const detectedTaxid = detectSpeciesFromInput(text);
 
     if (detectedTaxid && detectedTaxid !== els.sourceSelect.value) {
@@ -214,6 +771,102 @@ function updateAutoDetectHint() {
 }
 
 
+// ===== Gene List Files =====
+let _geneFile = null; // { name, table } being configured in the file panel
+
+/** Read a dropped or picked gene list file; tables open the column panel. */
+async function loadGeneFile(file) {
+    if (!file) return;
+    if (/\.xlsx?$/i.test(file.name)) return alert('Excel files are not supported. Save the sheet as CSV or TSV first.');
+    const table = window.GeneFile.parseTable(await file.text(), file.name);
+    if (table.rows.length === 0) return alert(`${file.name} contains no rows.`);
+
+    // Plain lists (one column, or a single comma-separated line) go straight into the input
+    if (table.columns.length === 1 || (table.rows.length === 1 && !table.hasHeader)) {
+        els.geneInput.value = [...new Set(table.rows.flat().filter(Boolean))].join('\n');
+        setGeneScores(null);
+        $('#gene-file-panel').hidden = true;
+        updateAutoDetectHint();
+        return;
+    }
+
+    _geneFile = { name: file.name, table };
+    const detected = window.GeneFile.detectColumns(table);
+    const options = (withNone) => (withNone ? '<option value="-1">None</option>' : '') +
+        table.columns.map((c, i) => `<option value="${i}">${esc(c)}</option>`).join('');
+
+    $('#gene-file-summary').textContent = `${file.name}: ${table.rows.length.toLocaleString()} rows, ${table.columns.length} columns`;
+    $('#gene-file-id').innerHTML = options(false);
+    $('#gene-file-id').value = detected.idColumn;
+    $('#gene-file-score').innerHTML = options(true);
+    $('#gene-file-score').value = detected.scoreColumn;
+    $('#gene-file-group').innerHTML = options(true);
+    $('#gene-file-group').value = detected.groupColumn;
+
+    // Prefill the usual differential-expression cut-offs when the columns exist
+    const defaults = [
+        { column: detected.padjColumn, op: '<', value: 0.05 },
+        { column: detected.lfcColumn, op: 'abs>', value: 1 },
+    ];
+    $$('.gene-file-filter').forEach((row, i) => {
+        row.querySelector('[data-filter-column]').innerHTML = options(true);
+        row.querySelector('[data-filter-column]').value = defaults[i].column;
+        row.querySelector('[data-filter-op]').value = defaults[i].op;
+        row.querySelector('[data-filter-value]').value = defaults[i].column >= 0 ? defaults[i].value : '';
+    });
+    $('#gene-file-panel').hidden = false;
+    updateGeneFilePreview();
+}
+
+function readGeneFileSpec() {
+    return {
+        idColumn: parseInt($('#gene-file-id').value),
+        scoreColumn: parseInt($('#gene-file-score').value),
+        groupColumn: parseInt($('#gene-file-group').value),
+        filters: [...$$('.gene-file-filter')].map(row => ({
+            column: parseInt(row.querySelector('[data-filter-column]').value),
+            op: row.querySelector('[data-filter-op]').value,
+            value: parseFloat(row.querySelector('[data-filter-value]').value),
+        })),
+    };
+}
+
+function updateGeneFilePreview() {
+    if (!_geneFile) return;
+    const { genes, groups, rowsKept, rowsTotal } = window.GeneFile.extractGeneList(_geneFile.table, readGeneFileSpec());
+    $('#gene-file-preview').textContent = `${rowsKept.toLocaleString()} of ${rowsTotal.toLocaleString()} rows pass, ` +
+        `${genes.length.toLocaleString()} unique IDs${groups && groups.length > 1 ? ` in ${groups.length} lists` : ''}.`;
+    $('#gene-file-apply').textContent = `Use ${genes.length.toLocaleString()} genes`;
+    $('#gene-file-apply').disabled = genes.length === 0;
+}
+
+/** Replace the gene input with the filtered file column, one ">group" list per group when a group column is set. */
+function applyGeneFile() {
+    if (!_geneFile) return;
+    const spec = readGeneFileSpec();
+    const { genes, scores, groups } = window.GeneFile.extractGeneList(_geneFile.table, spec);
+    els.geneInput.value = groups && groups.length > 1
+        ? groups.map(g => `>${g.name}\n${g.genes.join('\n')}`).join('\n')
+        : genes.join('\n');
+    setGeneScores(scores, scores ? `${_geneFile.table.columns[spec.scoreColumn]} from ${_geneFile.name}` : '');
+    $('#gene-file-panel').hidden = true;
+    _geneFile = null;
+    updateAutoDetectHint();
+}
+
+/** Keep per-gene scores from an uploaded table alongside the gene input. */
+function setGeneScores(scores, source) {
+    const count = scores ? Object.keys(scores).length : 0;
+    state.geneScores = count > 0 ? scores : null;
+    state.geneScoreSource = count > 0 ? source : '';
+    const note = $('#gene-scores-note');
+    note.hidden = count === 0;
+    note.innerHTML = count > 0
+        ? `Scores: ${esc(source)} for ${count.toLocaleString()} genes · <button type="button" id="clear-gene-scores">clear</button>`
+        : '';
+    if (count > 0) $('#clear-gene-scores').addEventListener('click', () => setGeneScores(null));
+}
+
 // ===== Helpers =====
 function esc(str) {
     if (!str) return '';
@@ -228,10 +881,34 @@ function truncate(str, max) {
     return str.slice(0, Math.max(0, max - 1)) + '…';
 }
 
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let i = 0;
+    let val = bytes;
+    while (val >= 1024 && i < units.length - 1) { val /= 1024; i++; }
+    return `${val.toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
 function notFoundSummary(resolvedGenes) {
-    const missing = resolvedGenes.filter(g => !g.proteinId).map(g => g.query);
+    const missing = resolvedGenes.filter(g => !g.proteinId);
     if (missing.length === 0) return '';
-    return `<div class="not-found-summary">Not found in source species: ${esc(missing.join(', '))}</div>`;
+    const withSuggestions = missing.filter(g => g.suggestions && g.suggestions.length > 0);
+    const plain = missing.filter(g => !withSuggestions.includes(g)).map(g => g.query);
+
+    let html = `<div class="not-found-summary">Not found in source species: ${esc(missing.map(g => g.query).join(', '))}`;
+    if (withSuggestions.length > 0) {
+        html += '<ul class="suggestion-list">';
+        for (const g of withSuggestions) {
+            html += `<li><span class="suggestion-query">${esc(g.query)}</span> — did you mean ` +
+                g.suggestions.map(s => `<button class="suggestion-chip" data-suggest-query="${esc(g.query)}" data-suggest-name="${esc(s.name)}" title="${esc(s.proteinId)}">${esc(s.name)}</button>`).join(' ') +
+                '</li>';
+        }
+        html += '</ul>';
+        html += `<button class="btn btn-sm btn-ghost" data-suggest-all>Use first suggestion for all ${withSuggestions.length} and re-run</button>`;
+        if (plain.length > 0) html += ` <span class="hint">No similar names for: ${esc(plain.join(', '))}</span>`;
+    }
+    return html + '</div>';
 }
 
 // ===== Gene Navigation (pills or dropdown + search) =====
@@ -422,11 +1099,136 @@ async function loadOrthogroupData() {
     }
 }
 
+// ===== Lazy GO Ontology Loading (for enrichment propagation) =====
+async function loadGOOntology() {
+    if (state.goOntology) return state.goOntology;
+    if (state._goOntologyLoadFailed) return null;
+    const ontology = await fetchJSON('data/go/ontology.json');
+    if (!ontology || !ontology.terms) {
+        state._goOntologyLoadFailed = true;
+        disableGOModelOptions();
+        return null;
+    }
+    state.goOntology = ontology;
+    window.Compute.shareData({ goOntology: ontology });
+    renderDBVersions();
+    return ontology;
+}
+
+/**
+ * Check at startup that the GO ontology is bundled, without downloading it.
+ * Only a definite HTTP error counts as missing: offline or file:// pages find
+ * out on first use.
+ */
+async function checkGOOntology() {
+    try {
+        const resp = await fetch('data/go/ontology.json', { method: 'HEAD' });
+        if (!resp.ok) {
+            state._goOntologyLoadFailed = true;
+            disableGOModelOptions();
+        }
+    } catch (err) {
+        // Decided by loadGOOntology()
+    }
+}
+
+/** Switch off propagation and the elim/weight tests, which cannot run without the ontology. */
+function disableGOModelOptions() {
+    const reason = 'GO ontology not available (data/go/ontology.json); rebuild the data with go-basic.obo to enable';
+    const propagate = $('#go-propagate');
+    propagate.checked = false;
+    propagate.disabled = true;
+    propagate.closest('label').title = reason;
+    const algorithm = $('#go-algorithm');
+    algorithm.value = 'classic';
+    algorithm.disabled = true;
+    algorithm.title = reason;
+}
+
+// ===== Mixed-Species Resolution =====
+/**
+ * Show which species each gene of a mixed list was assigned to and how it
+ * entered the analysis. Hidden for single-species analyses.
+ */
+function renderResolutionPanel(assignments, resolvedGenes, sourceTaxid, mode) {
+    const panel = $('#resolution-panel');
+    if (!assignments) {
+        panel.hidden = true;
+        panel.innerHTML = '';
+        return;
+    }
+
+    const byQuery = new Map(resolvedGenes.map(g => [g.query, g]));
+    const groups = {};
+    for (const a of assignments) {
+        if (a.taxid) groups[a.taxid] = (groups[a.taxid] || 0) + 1;
+    }
+    const unassigned = assignments.filter(a => !a.taxid).length;
+    const speciesCount = Object.keys(groups).length;
+
+    let html = `<details class="resolution-details" open><summary>Gene species assignment — ${assignments.length} genes, ${speciesCount} species${unassigned ? `, ${unassigned} unassigned` : ''}</summary>`;
+    if (mode === 'map' && state._orthoLoadFailed) {
+        html += '<p class="enrichment-warning">Orthogroup data could not be loaded, so genes from other species were not mapped.</p>';
+    }
+    if (mode === 'group') {
+        html += '<div class="resolution-groups">';
+        for (const [taxid, count] of Object.entries(groups)) {
+            html += taxid === sourceTaxid
+                ? `<span class="tag tag-nog">Showing ${count} ${italicSpeciesName(getSpeciesName(taxid))} genes</span>`
+                : `<button class="btn btn-sm btn-ghost" data-analyze-group="${esc(taxid)}">Analyze ${count} ${italicSpeciesName(getSpeciesName(taxid))} genes</button>`;
+        }
+        html += '</div>';
+    }
+
+    html += `<div class="table-responsive"><table class="result-table"><thead><tr>
+      <th>Query</th><th>Inferred Species</th><th>Assigned By</th><th>Protein</th><th>${mode === 'map' ? `In ${italicSpeciesName(getSpeciesName(sourceTaxid))}` : 'Analysis'}</th>
+    </tr></thead><tbody>`;
+    for (const a of assignments) {
+        const g = byQuery.get(a.query);
+        const pid = a.taxid ? resolveGene(a.query, a.taxid) : null;
+        const via = a.via === 'pattern' ? 'ID pattern' : a.via === 'name' ? 'Name lookup' : '—';
+        const also = a.alsoIn.length ? ` <span class="hint" title="Name also found in ${esc(a.alsoIn.map(t => getSpeciesName(t)).join(', '))}">+${a.alsoIn.length}</span>` : '';
+
+        let outcome;
+        if (mode === 'map') {
+            if (!g || !g.proteinId) outcome = `<span class="no-data">${g && g.origin && g.origin.proteinId ? 'No ortholog' : 'Not found'}</span>`;
+            else if (g.origin) outcome = `<span data-pid="${esc(g.proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(getPreferredName(g.proteinId, sourceTaxid))}</span> <span class="tag tag-nog">${esc(g.origin.ogId)}</span>`;
+            else outcome = `<span data-pid="${esc(g.proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(getPreferredName(g.proteinId, sourceTaxid))}</span>`;
+        } else {
+            outcome = g ? 'Included' : '<span class="no-data">Other group</span>';
+        }
+
+        html += `<tr>
+          <td>${esc(a.query)}</td>
+          <td>${a.taxid ? italicSpeciesName(getSpeciesName(a.taxid)) : '<span class="no-data">Unknown</span>'}${also}</td>
+          <td>${via}</td>
+          <td>${pid ? `<code data-pid="${esc(pid)}" data-taxid="${esc(a.taxid)}">${esc(pid)}</code>` : '—'}</td>
+          <td>${outcome}</td>
+        </tr>`;
+    }
+    html += '</tbody></table></div></details>';
+
+    panel.innerHTML = html;
+    panel.hidden = false;
+    makeTableSortable(panel.querySelector('table'));
+}
+
+/** Group mode: re-run the analysis on another species' genes. */
+function onResolutionClick(e) {
+    const btn = e.target.closest('[data-analyze-group]');
+    if (!btn) return;
+    els.sourceSelect.value = btn.dataset.analyzeGroup;
+    updateAutoDetectHint();
+    runAnalysis();
+}
+
 // ===== Analysis =====
 let _analysisRunning = false;
+let _analysisCancelled = false;
 async function runAnalysis() {
     if (_analysisRunning) return;
     _analysisRunning = true;
+    _analysisCancelled = false;
     try {
         await _runAnalysisInner();
     } finally {
@@ -437,23 +1239,33 @@ async function _runAnalysisInner() {
     const sourceTaxid = els.sourceSelect.value;
     if (!sourceTaxid) return alert('Please select a source species.');
 
-    let genes = [];
     const rawGenes = els.geneInput.value.trim();
     if (!rawGenes) return alert('Please enter at least one gene name.');
-    genes = rawGenes.split(/[,\n\r]+/).map(g => g.trim()).filter(Boolean);
+    // Several named lists are analyzed together and compared in the Compare Lists tab
+    const geneLists = window.GeneFile.parseGeneLists(rawGenes);
+    let genes = geneLists.length > 1
+        ? [...new Set(geneLists.flatMap(l => l.genes))]
+        : (geneLists[0] ? geneLists[0].genes : []);
 
     if (genes.length === 0) return alert('Please enter valid gene names.');
 
     const targetTaxids = [...$$('#target-species-list input:checked')].map(cb => cb.value);
+    const enrichmentOptions = readEnrichmentOptions();
+    if (enrichmentOptions.method === 'gsea' && !state.geneScores) {
+        return alert('Preranked GSEA needs a score per gene. Load a table with a score column (e.g. a DESeq2 stat or log2FoldChange), or switch the enrichment method to over-representation.');
+    }
+    if (enrichmentOptions.method === 'ora' && enrichmentOptions.background && enrichmentOptions.background.length === 0) {
+        return alert('The custom background is empty. Paste or load the detected/screened genes, or switch the background to all annotated genes.');
+    }
 
     state.sourceSpecies = sourceTaxid;
-    state.genes = genes;
     state.targetSpecies = targetTaxids;
     state.scoreThreshold = parseInt(els.scoreSlider.value);
 
     try {
         showLoading('Loading source species data...');
         await loadSpeciesData(sourceTaxid);
+        checkCancelled();
 
         // Start orthogroup fetch in parallel with target species loading
         const orthoPromise = loadOrthogroupData();
@@ -461,45 +1273,172 @@ async function _runAnalysisInner() {
         for (let i = 0; i < targetTaxids.length; i++) {
             showLoading(`Loading target species ${i + 1}/${targetTaxids.length}...`);
             await loadSpeciesData(targetTaxids[i]);
+            checkCancelled();
         }
 
         const orthogroups = await orthoPromise;
 
-        const resolvedGenes = genes.map(gene => ({
-            query: gene,
-            proteinId: resolveGene(gene, sourceTaxid),
-        }));
+        // Mixed-species list: assign each gene to a species, then map it to the
+        // source species or keep only the source species' group
+        const mixedMode = els.mixedMode.value;
+        let assignments = null;
+        if (mixedMode) {
+            const patterns = getSpeciesPatterns();
+            const detected = [...new Set(genes.map(g => detectSpeciesByPattern(g, patterns)).filter(Boolean))];
+            for (const taxid of detected) {
+                await loadSpeciesData(taxid);
+                checkCancelled();
+            }
+            assignments = assignGeneSpecies(genes, [...new Set([sourceTaxid, ...targetTaxids, ...detected])]);
+            if (mixedMode === 'group') {
+                genes = assignments.filter(a => !a.taxid || a.taxid === sourceTaxid).map(a => a.query);
+                if (genes.length === 0) {
+                    hideLoading();
+                    return alert(`No genes in the list were assigned to ${getSpeciesName(sourceTaxid)}. Select the species of one of the groups as source species.`);
+                }
+            }
+        }
+        state.geneAssignments = assignments;
+        state.genes = genes;
+        state.geneLists = geneLists.length > 1 ? geneLists : null;
+
+        const resolvedGenes = mixedMode === 'map'
+            ? assignments.map(a => a.taxid && a.taxid !== sourceTaxid
+                ? mapGeneToReference(a.query, a.taxid, sourceTaxid, orthogroups)
+                : resolveGeneList([a.query], sourceTaxid)[0])
+            : resolveGeneList(genes, sourceTaxid);
+        if (resolvedGenes.some(g => !g.proteinId)) {
+            showLoading('Looking for similar gene names...');
+            await new Promise(r => setTimeout(r, 0));
+            addGeneSuggestions(resolvedGenes, sourceTaxid);
+        }
+        if (resolvedGenes.some(g => g.candidates.length > 1)) {
+            hideLoading();
+            if (!await reviewAmbiguousGenes(resolvedGenes, sourceTaxid)) return;
+        }
+        state.resolvedGenes = resolvedGenes;
+
+        // Only the query proteins' PPI shards; others load when the network is expanded
+        showLoading('Loading interaction data...');
+        state.networkExpanded = new Set();
+        await ensurePPI(sourceTaxid, resolvedGenes.map(g => g.proteinId));
+        checkCancelled();
+        updateDataHealthBanner([sourceTaxid, ...targetTaxids]);
 
         showLoading('Building results...');
-        await new Promise(r => setTimeout(r, 50));
+        checkCancelled();
 
+        renderResolutionPanel(assignments, resolvedGenes, sourceTaxid, mixedMode);
         buildAliasResults(resolvedGenes, sourceTaxid, targetTaxids, orthogroups);
         buildPPIResults(resolvedGenes, sourceTaxid);
-        buildPPINetwork(resolvedGenes, sourceTaxid);
         buildGOResults(resolvedGenes, sourceTaxid);
         buildKEGGResults(resolvedGenes, sourceTaxid);
+        buildOtherTermsResults(resolvedGenes, sourceTaxid);
 
-        // Enrichment analyses
-        showLoading('Running enrichment analysis...');
-        await new Promise(r => setTimeout(r, 50));
+        showLoading('Laying out interaction network...');
+        await buildPPINetwork(resolvedGenes, sourceTaxid,
+            f => showLoading(`Laying out interaction network... ${Math.round(f * 100)}%`));
+        checkCancelled();
 
+        // Enrichment analyses (run in the compute worker)
         const foundIds = resolvedGenes.filter(g => g.proteinId).map(g => g.proteinId);
-        const data = state.cache[sourceTaxid];
+        window.Compute.shareSpeciesData(sourceTaxid, state.cache[sourceTaxid]);
+
+        const gsea = enrichmentOptions.method === 'gsea';
+        const ranked = gsea ? buildRankedList(resolvedGenes, sourceTaxid) : null;
+        const gseaOptions = gsea ? {
+            permutations: enrichmentOptions.permutations,
+            seed: enrichmentOptions.seed,
+            minSize: enrichmentOptions.minSize,
+            maxSize: enrichmentOptions.maxSize,
+        } : null;
+        state.gseaSelectedTerm = { go: null, kegg: null, other: null };
+        const background = !gsea && enrichmentOptions.background
+            ? resolveBackground(enrichmentOptions.background, sourceTaxid)
+            : null;
+        if (background && background.mapped === 0) {
+            hideLoading();
+            return alert(`None of the ${background.total} background genes matched a ${getSpeciesName(sourceTaxid)} protein. Check that the background list is from the source species.`);
+        }
+        const backgroundIds = background ? background.proteinIds : undefined;
+        const ontology = enrichmentOptions.propagate ? await loadGOOntology() : null;
+        checkCancelled();
 
         // GO Enrichment
-        const goResult = window.Enrichment.runGOEnrichment(foundIds, data.go);
+        showLoading(gsea ? 'Running GO GSEA...' : 'Running GO enrichment...');
+        const goResult = gsea
+            ? await runGOJobs('gsea-go', { taxid: sourceTaxid, ranked, options: gseaOptions, propagate: !!ontology },
+                enrichmentOptions.goOntologies, 'Running GO GSEA permutations')
+            : await runGOJobs('go', {
+                taxid: sourceTaxid, proteinIds: foundIds, background: backgroundIds,
+                propagate: !!ontology, algorithm: enrichmentOptions.goAlgorithm,
+                direction: enrichmentOptions.direction, correction: enrichmentOptions.correction,
+                permutation: enrichmentOptions.permutation,
+            }, enrichmentOptions.goOntologies, 'Running GO enrichment');
+        checkCancelled();
+        goResult.goModel = goModelSummary(enrichmentOptions, ontology, goResult);
+        if (gsea) goResult.options = gseaOptions;
+        goResult.background = background && { total: background.total, mapped: background.mapped };
+        goResult.warnings = partialDataWarnings(sourceTaxid, ['go']);
         state.goEnrichmentResults = goResult;
         buildEnrichmentTab('go', goResult, sourceTaxid);
 
         // KEGG Enrichment
-        const keggResult = window.Enrichment.runKEGGEnrichment(foundIds, data.keggPathways, data.aliases, data.info);
+        showLoading(gsea ? 'Running KEGG GSEA...' : 'Running KEGG enrichment...');
+        const keggResult = gsea
+            ? await window.Compute.run('gsea-kegg', { taxid: sourceTaxid, ranked, options: gseaOptions },
+                f => showLoading(`Running KEGG GSEA permutations... ${Math.round(f * 100)}%`))
+            : await window.Compute.run('kegg', {
+                taxid: sourceTaxid, proteinIds: foundIds, background: backgroundIds,
+                direction: enrichmentOptions.direction, correction: enrichmentOptions.correction,
+                permutation: enrichmentOptions.permutation,
+            },
+                f => showLoading(`Running KEGG enrichment... ${Math.round(f * 100)}%`));
+        checkCancelled();
+        if (gsea) keggResult.options = gseaOptions;
+        keggResult.background = background && { total: background.total, mapped: background.mapped };
+        keggResult.warnings = partialDataWarnings(sourceTaxid, ['kegg_pathways', 'aliases', 'info']);
         state.keggEnrichmentResults = keggResult;
         buildEnrichmentTab('kegg', keggResult, sourceTaxid);
 
+        // Other-term enrichment, one category at a time (rerun from the tab's selector)
+        state.enrichmentContext = {
+            taxid: sourceTaxid, proteinIds: foundIds, backgroundIds, background, ranked, gseaOptions,
+            direction: enrichmentOptions.direction, correction: enrichmentOptions.correction,
+            permutation: enrichmentOptions.permutation,
+        };
+        const categories = otherTermCategories(sourceTaxid);
+        if (!categories.some(c => c.category === state.otherCategory)) state.otherCategory = defaultOtherCategory(categories);
+        await runOtherEnrichment(state.otherCategory);
+        checkCancelled();
+
+        // Comparative enrichment, one GO and KEGG run per named list
+        state.listComparison = null;
+        if (state.geneLists && !gsea) {
+            state.listComparison = await runListComparison(state.geneLists, resolvedGenes, {
+                taxid: sourceTaxid, background: backgroundIds,
+                propagate: !!ontology, algorithm: enrichmentOptions.goAlgorithm,
+                direction: enrichmentOptions.direction, correction: enrichmentOptions.correction,
+                permutation: enrichmentOptions.permutation,
+            }, enrichmentOptions.goOntologies);
+            checkCancelled();
+            // Same test model, background and data warnings as the whole-input runs
+            for (const list of state.listComparison.lists) {
+                list.go.goModel = goModelSummary(enrichmentOptions, ontology, list.go);
+                list.go.background = list.kegg.background = goResult.background;
+                list.go.warnings = goResult.warnings;
+                list.kegg.warnings = keggResult.warnings;
+            }
+        }
+        buildCompareTab();
+
         // Phylogeny (lazy-load data on first use)
         showLoading('Loading phylogeny data...');
         await loadPhylogenyData();
-        window.Phylogeny.buildPhylogenyTab(resolvedGenes, sourceTaxid, targetTaxids, state.phylogenyData);
+        checkCancelled();
+        const parsedTrees = await parseGeneTrees(resolvedGenes, sourceTaxid);
+        checkCancelled();
+        window.Phylogeny.buildPhylogenyTab(resolvedGenes, sourceTaxid, targetTaxids, state.phylogenyData, parsedTrees);
         addGeneNavigation('#tab-phylogeny');
 
         hideLoading();
@@ -508,12 +1447,90 @@ async function _runAnalysisInner() {
         switchTab('aliases');
     } catch (err) {
         hideLoading();
+        if (err.cancelled) return;
         console.error('Analysis error:', err);
         alert('Analysis failed: ' + err.message);
     }
 }
 
-// ===== Ortholog Results =====
+/**
+ * Let the user pick the intended protein for each ambiguous query before the analysis runs.
+ * Updates proteinId and chosen on the entries in place.
+ * @returns {Promise<boolean>} false when the user cancelled
+ */
+function reviewAmbiguousGenes(resolvedGenes, taxid) {
+    const modal = $('#disambig-modal');
+    const info = state.cache[taxid].info || {};
+    const ambiguous = resolvedGenes.filter(g => g.candidates.length > 1);
+
+    $('#disambig-list').innerHTML = ambiguous.map((g, i) => `
+      <fieldset class="disambig-group">
+        <legend>${esc(g.query)} <span class="hint">${g.candidates.length} proteins</span></legend>
+        ${g.candidates.map(pid => {
+            const entry = info[pid] || {};
+            return `<label class="disambig-option">
+          <input type="radio" name="disambig-${i}" value="${esc(pid)}" ${pid === g.proteinId ? 'checked' : ''}>
+          <span class="disambig-name">${esc(entry.name || pid)}</span>
+          <span class="disambig-id">${esc(pid)}${entry.size ? ` · ${esc(entry.size)} aa` : ''}</span>
+          <span class="disambig-annotation">${esc(entry.annotation || 'No annotation')}</span>
+        </label>`;
+        }).join('')}
+      </fieldset>`).join('');
+    modal.hidden = false;
+
+    return new Promise(resolve => {
+        const buttons = [$('#disambig-continue'), $('#disambig-cancel'),
+            modal.querySelector('.modal-close'), modal.querySelector('.modal-backdrop')];
+        const close = (confirmed) => {
+            modal.hidden = true;
+            buttons.forEach(b => b.onclick = null);
+            resolve(confirmed);
+        };
+        buttons[0].onclick = () => {
+            ambiguous.forEach((g, i) => {
+                const picked = modal.querySelector(`input[name="disambig-${i}"]:checked`);
+                if (picked) g.proteinId = picked.value;
+                g.chosen = true;
+            });
+            close(true);
+        };
+        buttons.slice(1).forEach(b => b.onclick = () => close(false));
+    });
+}
+
+/** Throw if the user pressed Cancel since the last step. */
+function checkCancelled() {
+    if (_analysisCancelled) throw window.Compute.cancelledError();
+}
+
+function cancelAnalysis() {
+    if (!_analysisRunning) return;
+    _analysisCancelled = true;
+    window.Compute.cancel();
+}
+
+/**
+ * Parse the gene trees needed for the Phylogeny tab in the compute worker.
+ * @returns {Promise<Object|null>} ogId -> parsed tree
+ */
+async function parseGeneTrees(resolvedGenes, sourceTaxid) {
+    const phyloData = state.phylogenyData;
+    if (!phyloData || !phyloData.orthogroups || !phyloData.trees) return null;
+
+    const trees = {};
+    for (const g of resolvedGenes) {
+        if (!g.proteinId) continue;
+        const og = window.Phylogeny.findOrthogroup(g.proteinId, sourceTaxid, phyloData);
+        if (og && phyloData.trees[og.ogId]) trees[og.ogId] = phyloData.trees[og.ogId];
+    }
+    if (Object.keys(trees).length === 0) return null;
+
+    showLoading('Parsing gene trees...');
+    return window.Compute.run('newick', { trees },
+        f => showLoading(`Parsing gene trees... ${Math.round(f * 100)}%`));
+}
+
+// ===== Ortholog Results =====
 function buildAliasResults(resolvedGenes, sourceTaxid, targetTaxids, orthogroups) {
     const container = $('#tab-aliases');
     if (targetTaxids.length === 0) {
@@ -524,11 +1541,12 @@ function buildAliasResults(resolvedGenes, sourceTaxid, targetTaxids, orthogroups
     const found = resolvedGenes.filter(g => g.proteinId);
     let html = '';
 
-    for (const { query, proteinId } of found) {
+    for (const { query, proteinId, candidates } of found) {
         html += `<div class="result-section">`;
         html += `<div class="result-section-title"><span class="result-gene-badge" data-pid="${esc(proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(query)}</span>`;
         const name = getPreferredName(proteinId, sourceTaxid);
         if (name !== query) html += ` → ${esc(name)}`;
+        html += ambiguityTag(candidates, proteinId, sourceTaxid);
 
         // NOG-based ortholog lookup
         let ogResult = null;
@@ -631,11 +1649,12 @@ function buildPPIResults(resolvedGenes, sourceTaxid) {
     const found = resolvedGenes.filter(g => g.proteinId);
     let html = '';
 
-    for (const { query, proteinId } of found) {
+    for (const { query, proteinId, candidates } of found) {
         html += `<div class="result-section">`;
         html += `<div class="result-section-title"><span class="result-gene-badge" data-pid="${esc(proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(query)}</span>`;
         const name = getPreferredName(proteinId, sourceTaxid);
         if (name !== query) html += ` → ${esc(name)}`;
+        html += ambiguityTag(candidates, proteinId, sourceTaxid);
         html += `</div>`;
 
         if (!data.ppi[proteinId]) {
@@ -679,7 +1698,11 @@ function buildPPIResults(resolvedGenes, sourceTaxid) {
 }
 
 // ===== PPI Network Visualization =====
-function buildPPINetwork(resolvedGenes, sourceTaxid) {
+/**
+ * Build the network viewer; the force-directed layout runs in the compute worker.
+ * @param {Function} [onProgress] - layout progress, a fraction in [0, 1]
+ */
+async function buildPPINetwork(resolvedGenes, sourceTaxid, onProgress) {
     const container = $('#ppi-network-plot');
     const data = state.cache[sourceTaxid];
 
@@ -690,7 +1713,15 @@ function buildPPINetwork(resolvedGenes, sourceTaxid) {
 
     const getNameFn = (pid) => getPreferredName(pid, sourceTaxid);
 
-    const result = window.PPINetwork.buildPPINetworkSVG(resolvedGenes, data.ppi, data.info, state.scoreThreshold, getNameFn, sourceTaxid);
+    const net = window.PPINetwork.prepareNetwork(resolvedGenes, data.ppi, state.scoreThreshold, getNameFn, [...state.networkExpanded]);
+    let result = null;
+    if (net) {
+        const { nodes, edges, width, height } = net;
+        const positions = await window.Compute.run('layout', { nodes, edges, width, height }, onProgress);
+        for (const n of nodes) Object.assign(n, positions[n.id]);
+        result = window.PPINetwork.renderNetwork(net, sourceTaxid,
+            (pid) => expandNetworkNode(resolvedGenes, sourceTaxid, pid));
+    }
 
     container.innerHTML = '';
     if (result && result.svg) {
@@ -703,6 +1734,20 @@ function buildPPINetwork(resolvedGenes, sourceTaxid) {
     }
 }
 
+/** Add an interactor's own partners to the network, fetching its PPI shard if needed. */
+async function expandNetworkNode(resolvedGenes, sourceTaxid, proteinId) {
+    if (state.networkExpanded.has(proteinId)) return;
+    state.networkExpanded.add(proteinId);
+    try {
+        await ensurePPI(sourceTaxid, [proteinId]);
+        updateDataHealthBanner([sourceTaxid, ...state.targetSpecies]);
+        await buildPPINetwork(resolvedGenes, sourceTaxid);
+    } catch (err) {
+        state.networkExpanded.delete(proteinId);
+        console.error('Network expansion failed:', err);
+    }
+}
+
 function renderHubGenesTable(nodes, container, taxid) {
     if (!nodes || nodes.length === 0) return;
 
@@ -777,12 +1822,12 @@ function buildGOResults(resolvedGenes, sourceTaxid) {
     const found = resolvedGenes.filter(g => g.proteinId);
     let html = '';
 
-    for (const { query, proteinId } of found) {
+    for (const { query, proteinId, candidates } of found) {
         const goTerms = data.go[proteinId];
         if (!goTerms || goTerms.length === 0) continue;
 
         html += `<div class="result-section">`;
-        html += `<div class="result-section-title"><span class="result-gene-badge" data-pid="${esc(proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(query)}</span></div>`;
+        html += `<div class="result-section-title"><span class="result-gene-badge" data-pid="${esc(proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(query)}</span>${ambiguityTag(candidates, proteinId, sourceTaxid)}</div>`;
 
         const grouped = {};
         for (const t of goTerms) {
@@ -822,7 +1867,7 @@ function buildKEGGResults(resolvedGenes, sourceTaxid) {
     const found = resolvedGenes.filter(g => g.proteinId);
     let html = '';
 
-    for (const { query, proteinId } of found) {
+    for (const { query, proteinId, candidates } of found) {
         const keggTerms = data.kegg?.[proteinId] || []; // From kegg_enrichment.json (if acts as annotation)
         const keggPathData = data.keggPathways;
         const prefName = getPreferredName(proteinId, sourceTaxid);
@@ -864,6 +1909,7 @@ function buildKEGGResults(resolvedGenes, sourceTaxid) {
         html += `<div class="result-section">`;
         html += `<div class="result-section-title"><span class="result-gene-badge" data-pid="${esc(proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(query)}</span>`;
         if (prefName !== query) html += ` → ${esc(prefName)}`;
+        html += ambiguityTag(candidates, proteinId, sourceTaxid);
         html += `</div>`;
 
         html += `<div class="table-responsive"><table class="result-table"><thead><tr>
@@ -911,31 +1957,914 @@ function buildKEGGResults(resolvedGenes, sourceTaxid) {
     addGeneNavigation('#tab-kegg');
 }
 
+// ===== Other Annotations =====
+
+// Default enrichment category: protein domains explain uncharacterized genes best
+const OTHER_CATEGORY_PREFERENCE = [/Pfam/i, /InterPro/i, /SMART/i];
+const _otherCategories = new WeakMap(); // otherTerms -> [{ category, genes }]
+
+/**
+ * Categories of a species' other_terms (everything STRING files outside GO and KEGG)
+ * with the number of genes annotated in each.
+ * @returns {Object[]} [{ category, genes }] sorted by name
+ */
+function otherTermCategories(taxid) {
+    const otherTerms = state.cache[taxid] && state.cache[taxid].otherTerms;
+    if (!otherTerms) return [];
+    if (_otherCategories.has(otherTerms)) return _otherCategories.get(otherTerms);
+    const genes = {};
+    for (const terms of Object.values(otherTerms)) {
+        if (!Array.isArray(terms)) continue;
+        for (const category of new Set(terms.map(t => t && t.category).filter(Boolean))) {
+            genes[category] = (genes[category] || 0) + 1;
+        }
+    }
+    const categories = Object.entries(genes)
+        .map(([category, count]) => ({ category, genes: count }))
+        .sort((a, b) => a.category.localeCompare(b.category));
+    _otherCategories.set(otherTerms, categories);
+    return categories;
+}
+
+function defaultOtherCategory(categories) {
+    for (const re of OTHER_CATEGORY_PREFERENCE) {
+        const match = categories.find(c => re.test(c.category));
+        if (match) return match.category;
+    }
+    if (categories.length === 0) return '';
+    return categories.reduce((best, c) => (c.genes > best.genes ? c : best)).category;
+}
+
+function buildOtherTermsResults(resolvedGenes, sourceTaxid) {
+    const container = $('#tab-other');
+    const data = state.cache[sourceTaxid];
+    if (!data || !data.otherTerms || Object.keys(data.otherTerms).length === 0) {
+        container.innerHTML = '<p class="no-data">No other annotations (domains, pathways, keywords) available for this species.</p>';
+        return;
+    }
+
+    const found = resolvedGenes.filter(g => g.proteinId);
+    let html = '';
+
+    for (const { query, proteinId, candidates } of found) {
+        const terms = data.otherTerms[proteinId];
+        if (!terms || terms.length === 0) continue;
+
+        html += `<div class="result-section">`;
+        html += `<div class="result-section-title"><span class="result-gene-badge" data-pid="${esc(proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(query)}</span>${ambiguityTag(candidates, proteinId, sourceTaxid)}</div>`;
+
+        const grouped = {};
+        for (const t of terms) {
+            const cat = t.category || 'Unknown';
+            if (!grouped[cat]) grouped[cat] = [];
+            grouped[cat].push(t);
+        }
+
+        html += `<div class="table-responsive"><table class="result-table"><thead><tr>
+      <th>Category</th><th>Term ID</th><th>Description</th>
+    </tr></thead><tbody>`;
+
+        for (const cat of Object.keys(grouped).sort()) {
+            for (const t of grouped[cat].slice(0, 15)) {
+                html += `<tr>
+          <td><span class="tag tag-kegg">${esc(cat)}</span></td>
+          <td><code>${esc(t.term)}</code></td>
+          <td>${esc(t.description)}</td>
+        </tr>`;
+            }
+        }
+
+        html += `</tbody></table></div></div>`;
+    }
+
+    html += notFoundSummary(resolvedGenes);
+    container.innerHTML = html || '<p class="no-data">No other annotations for these genes.</p>';
+    container.querySelectorAll('table').forEach(makeTableSortable);
+    addGeneNavigation('#tab-other');
+}
+
+/**
+ * Run enrichment over one other_terms category with the inputs of the last
+ * analysis (gene list or GSEA ranking, background) and show it in the Other Enrichment tab.
+ */
+async function runOtherEnrichment(category) {
+    const ctx = state.enrichmentContext;
+    if (!ctx) return;
+    const gsea = !!ctx.gseaOptions;
+    let result;
+    if (!category) {
+        result = { results: [], stats: { mapped: 0, total: ctx.proteinIds.length, termsTotal: 0, bgSize: 0, outsideBg: 0 } };
+    } else if (gsea) {
+        showLoading(`Running ${category} GSEA...`);
+        result = await window.Compute.run('gsea-other', { taxid: ctx.taxid, ranked: ctx.ranked, options: ctx.gseaOptions, category },
+            f => showLoading(`Running ${category} GSEA permutations... ${Math.round(f * 100)}%`));
+        result.options = ctx.gseaOptions;
+    } else {
+        showLoading(`Running ${category} enrichment...`);
+        result = await window.Compute.run('other', {
+            taxid: ctx.taxid, proteinIds: ctx.proteinIds, background: ctx.backgroundIds,
+            direction: ctx.direction, correction: ctx.correction, permutation: ctx.permutation, category,
+        },
+            f => showLoading(`Running ${category} enrichment... ${Math.round(f * 100)}%`));
+    }
+    checkCancelled();
+    result.category = category;
+    result.background = !gsea && ctx.background ? { total: ctx.background.total, mapped: ctx.background.mapped } : null;
+    result.warnings = partialDataWarnings(ctx.taxid, ['other_terms']);
+    state.otherCategory = category;
+    state.gseaSelectedTerm.other = null;
+    state.otherEnrichmentResults = result;
+    buildEnrichmentTab('other', result, ctx.taxid);
+}
+
+/** Category selector of the Other Enrichment tab changed. */
+async function setOtherCategory(category) {
+    if (_analysisRunning) return;
+    _analysisRunning = true;
+    _analysisCancelled = false;
+    try {
+        await runOtherEnrichment(category);
+    } catch (err) {
+        if (!err.cancelled) {
+            console.error('Enrichment error:', err);
+            alert('Enrichment failed: ' + err.message);
+        }
+    } finally {
+        _analysisRunning = false;
+        hideLoading();
+        const select = $('#other-category');
+        if (select) select.value = state.otherCategory;
+    }
+}
+
+/** Category selector shown above other-term enrichment results. */
+function otherCategorySelectHtml(taxid) {
+    const categories = otherTermCategories(taxid);
+    const options = categories.length > 0
+        ? categories.map(c => `<option value="${esc(c.category)}" ${c.category === state.otherCategory ? 'selected' : ''}>${esc(c.category)} (${c.genes.toLocaleString()} genes)</option>`).join('')
+        : '<option value="">No other annotations for this species</option>';
+    return `
+            <div class="control-group">
+                <label>Category:</label>
+                <select id="other-category" class="form-control form-control-sm" style="width: 280px;" onchange="setOtherCategory(this.value)">
+                    ${options}
+                </select>
+            </div>`;
+}
+
+// ===== ID Mapping =====
+const IDMAP_DISPLAY_LIMIT = 2000; // rows rendered in the tab; the CSV export has all of them
+let _idMapRows = [];   // [{ query, match, proteinId, name, systematicId, keggGene, ogId }]
+let _idMapTaxid = null;
+
+/**
+ * Systematic (locus) ID of a protein: the first alias matching the species' gene
+ * ID pattern, e.g. SPCC1223.10c for S. pombe or YAL001C for S. cerevisiae.
+ */
+function getSystematicId(proteinId, taxid, patterns) {
+    const speciesPatterns = patterns.filter(p => p.taxid === taxid);
+    if (speciesPatterns.length === 0) return '';
+    const candidates = [proteinId, ...(state.cache[taxid].aliases?.[proteinId] || [])];
+    return candidates.find(a => speciesPatterns.some(p => p.regex.test(a))) || '';
+}
+
+/**
+ * Map identifiers of any namespace known to the species data to protein ID,
+ * preferred name, systematic ID, KEGG gene and orthogroup. Ambiguous
+ * identifiers produce one row per matching protein.
+ */
+function mapIdentifiers(ids, taxid, orthogroups) {
+    const data = state.cache[taxid];
+    const patterns = getSpeciesPatterns();
+    const keggGeneSet = new Set(Object.keys(data.keggPathways?.gene_pathways || {}));
+    const geneToOg = orthogroups ? orthogroups.gene_to_og : null;
+
+    const rows = [];
+    for (const query of ids) {
+        const candidates = resolveGeneCandidates(query, taxid);
+        if (candidates.length === 0) {
+            rows.push({ query, match: 'Not found', proteinId: '', name: '', systematicId: '', keggGene: '', ogId: '' });
+            continue;
+        }
+        candidates.forEach((pid, i) => {
+            rows.push({
+                query,
+                match: candidates.length > 1 ? `${i + 1} of ${candidates.length}` : 'Unique',
+                proteinId: pid,
+                name: getPreferredName(pid, taxid),
+                systematicId: getSystematicId(pid, taxid, patterns),
+                keggGene: window.Enrichment.resolveKEGGGene(pid, keggGeneSet, data.aliases, data.info) || '',
+                // Direct lookups only: the suffix scan in findOrthogroup is too slow for thousands of IDs
+                ogId: geneToOg ? (geneToOg[`${taxid}.${pid}`] || geneToOg[pid] || '') : '',
+            });
+        });
+    }
+    return rows;
+}
+
+async function runIdMapping() {
+    const taxid = $('#idmap-species').value;
+    const ids = [...new Set($('#idmap-input').value.split(/[,;\t\n\r]+/).map(g => g.trim()).filter(Boolean))];
+    if (!taxid) return alert('Please select a species.');
+    if (ids.length === 0) return alert('Please enter at least one identifier.');
+
+    try {
+        await loadSpeciesData(taxid);
+        showLoading('Loading orthogroups...');
+        const orthogroups = await loadOrthogroupData();
+        showLoading(`Mapping ${ids.length.toLocaleString()} identifiers...`);
+        await new Promise(r => setTimeout(r, 0));
+        _idMapRows = mapIdentifiers(ids, taxid, orthogroups);
+        _idMapTaxid = taxid;
+        hideLoading();
+        renderIdMapping(ids.length, !orthogroups);
+    } catch (err) {
+        hideLoading();
+        console.error('ID mapping failed:', err);
+        alert('ID mapping failed: ' + err.message);
+    }
+}
+
+function renderIdMapping(queryCount, noOrthogroups) {
+    const container = $('#idmap-results');
+    const found = new Set(_idMapRows.filter(r => r.proteinId).map(r => r.query)).size;
+    const ambiguous = new Set(_idMapRows.filter(r => r.match !== 'Unique' && r.proteinId).map(r => r.query)).size;
+
+    let html = `<p class="idmap-summary">${found.toLocaleString()} of ${queryCount.toLocaleString()} identifiers mapped` +
+        ` in ${italicSpeciesName(getSpeciesName(_idMapTaxid))}${ambiguous ? `; ${ambiguous.toLocaleString()} match several proteins (one row each)` : ''}.`;
+    if (_idMapRows.length > IDMAP_DISPLAY_LIMIT) html += ` Showing the first ${IDMAP_DISPLAY_LIMIT.toLocaleString()} rows; the CSV has all ${_idMapRows.length.toLocaleString()}.`;
+    html += '</p>';
+    if (noOrthogroups) html += '<p class="enrichment-warning">Orthogroup data is unavailable; the Orthogroup column is empty.</p>';
+
+    html += `<div class="table-responsive"><table class="result-table"><thead><tr>
+      <th>Query</th><th>Match</th><th>Protein ID</th><th>Preferred Name</th><th>Systematic ID</th><th>KEGG Gene</th><th>Orthogroup</th>
+    </tr></thead><tbody>`;
+    for (const r of _idMapRows.slice(0, IDMAP_DISPLAY_LIMIT)) {
+        if (!r.proteinId) {
+            html += `<tr><td>${esc(r.query)}</td><td colspan="6" class="no-data">Not found</td></tr>`;
+            continue;
+        }
+        html += `<tr>
+          <td>${esc(r.query)}</td>
+          <td>${r.match === 'Unique' ? r.match : `<span class="tag tag-ambiguous">${esc(r.match)}</span>`}</td>
+          <td><code data-pid="${esc(r.proteinId)}" data-taxid="${esc(_idMapTaxid)}">${esc(r.proteinId)}</code></td>
+          <td>${esc(r.name)}</td>
+          <td>${esc(r.systematicId) || '—'}</td>
+          <td>${esc(r.keggGene) || '—'}</td>
+          <td>${r.ogId ? `<span class="tag tag-nog">${esc(r.ogId)}</span>` : '—'}</td>
+        </tr>`;
+    }
+    html += '</tbody></table></div>';
+    container.innerHTML = html;
+    makeTableSortable(container.querySelector('table'));
+}
+
+function exportIdMapping() {
+    if (_idMapRows.length === 0) return alert('No ID mapping to export. Map some identifiers first.');
+    const headers = ['Query', 'Match', 'Protein ID', 'Preferred Name', 'Systematic ID', 'KEGG Gene', 'Orthogroup'];
+    const rows = _idMapRows.map(r => [r.query, r.match, r.proteinId, r.name, r.systematicId, r.keggGene, r.ogId]);
+    const notes = [`Species: ${getSpeciesName(_idMapTaxid)} (${_idMapTaxid})`, ...partialDataWarnings(_idMapTaxid, ['aliases', 'info', 'name_lookup', 'kegg_pathways'])];
+    window.Export.downloadTableCSV(headers, rows, `id_mapping_${_idMapTaxid}.csv`, notes);
+}
+
+/** Show the ID Mapping tab, also before any analysis has run. */
+function openIdMapping() {
+    els.resultsPlaceholder.hidden = true;
+    els.resultsContent.hidden = false;
+    // Offer the genes of the last analysis when nothing has been entered yet
+    if (!$('#idmap-input').value.trim() && state.genes.length > 0) {
+        $('#idmap-input').value = state.genes.join('\n');
+        $('#idmap-species').value = state.sourceSpecies;
+    }
+    if (!$('#idmap-species').value) $('#idmap-species').value = els.sourceSelect.value;
+    switchTab('id-mapping');
+}
+
+// ===== Enrichment Options =====
+
+/** Read the sidebar enrichment options, clamping numbers to sane ranges. */
+function readEnrichmentOptions() {
+    const int = (sel, fallback, min, max) => {
+        const v = parseInt($(sel).value, 10);
+        return Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : fallback;
+    };
+    const minSize = int('#gsea-min-size', 15, 1, 100000);
+    return {
+        method: $('#enrichment-method').value,
+        propagate: $('#go-propagate').checked,
+        goAlgorithm: $('#go-algorithm').value,
+        goOntologies: $('#go-ontology-mode').value,
+        direction: $('#test-direction').value,
+        correction: $('#p-correction').value,
+        permutation: $('#empirical-mode').value === 'off' ? null : {
+            permutations: int('#empirical-permutations', 1000, 100, 10000),
+            seed: int('#empirical-seed', 42, 0, 2 ** 32 - 1),
+            match: $('#empirical-mode').value,
+        },
+        background: $('#background-mode').value === 'custom' ? parseGeneText($('#background-input').value) : null,
+        permutations: int('#gsea-permutations', 1000, 100, 10000),
+        seed: int('#gsea-seed', 42, 0, 2 ** 32 - 1),
+        minSize,
+        maxSize: Math.max(minSize, int('#gsea-max-size', 500, 1, 100000)),
+    };
+}
+
+/** Split pasted gene text on commas and newlines, dropping blanks and duplicates. */
+function parseGeneText(text) {
+    return [...new Set(text.split(/[,\n\r]+/).map(g => g.trim()).filter(Boolean))];
+}
+
+/** Fill the custom background from a list or table file (the detected ID column). */
+async function loadBackgroundFile(file) {
+    if (!file) return;
+    const table = window.GeneFile.parseTable(await file.text(), file.name);
+    if (table.rows.length === 0) return alert(`${file.name} contains no rows.`);
+    const { idColumn } = window.GeneFile.detectColumns(table);
+    const ids = table.columns.length === 1 || (table.rows.length === 1 && !table.hasHeader)
+        ? table.rows.flat()
+        : table.rows.map(r => r[idColumn]);
+    $('#background-input').value = [...new Set(ids.map(id => (id || '').trim()).filter(Boolean))].join('\n');
+    updateBackgroundCount();
+}
+
+function updateBackgroundCount() {
+    const count = parseGeneText($('#background-input').value).length;
+    $('#background-count').textContent = count > 0 ? `${count.toLocaleString()} genes` : '';
+}
+
+/**
+ * Resolve a custom background list in the source species.
+ * @returns {Object} { proteinIds, total, mapped }
+ */
+function resolveBackground(queries, taxid) {
+    const proteinIds = [...new Set(resolveGeneList(queries, taxid).map(g => g.proteinId).filter(Boolean))];
+    return { proteinIds, total: queries.length, mapped: proteinIds.length };
+}
+
+/** Describe a custom background for the stats line and export headers. */
+function backgroundSummary(result) {
+    const bg = result.background;
+    if (!bg) return '';
+    let text = `Custom background: ${bg.mapped.toLocaleString()} of ${bg.total.toLocaleString()} genes mapped, ${(result.stats.bgSize || 0).toLocaleString()} annotated`;
+    if (result.stats.outsideBg > 0) text += `; ${result.stats.outsideBg} query genes outside the background were excluded`;
+    return text;
+}
+
+const TEST_DIRECTIONS = {
+    over: 'over-representation',
+    under: 'under-representation (depletion)',
+    'two-sided': 'two-sided (enrichment or depletion)',
+};
+
+/**
+ * Describe a depletion or two-sided test with the significant terms in each
+ * direction; '' for the usual over-representation test.
+ */
+function directionSummary(result) {
+    if (!result.direction || result.direction === 'over') return '';
+    const cutoff = enrichmentSigCutoff(result);
+    const sig = result.results.filter(r => r.fdr < cutoff);
+    const depleted = sig.filter(r => r.direction === 'depleted').length;
+    return `Hypergeometric test: ${TEST_DIRECTIONS[result.direction]}; ${sig.length - depleted} enriched and ${depleted} depleted terms significant. Terms without query genes are tested for depletion`;
+}
+
+/**
+ * Describe how GO terms were tested: propagation and decorrelation algorithm,
+ * noting when the requested model could not be used.
+ */
+function goModelSummary(options, ontology, result) {
+    if (!options.propagate) return 'Flat GO annotations (no propagation), classic test';
+    if (!ontology) {
+        return 'GO ontology unavailable: flat annotations' +
+            (options.method !== 'gsea' && options.goAlgorithm !== 'classic' ? `, classic test instead of ${options.goAlgorithm}` : '');
+    }
+    const version = ontology.version ? ` (GO ${ontology.version})` : '';
+    let test = result.algorithm ? `, ${result.algorithm} test` : '';
+    if (result.algorithm === 'classic' && options.method !== 'gsea' && options.goAlgorithm !== 'classic' && options.direction !== 'over') {
+        test += ` (${options.goAlgorithm} tests enrichment only)`;
+    }
+    if (options.method !== 'gsea' && options.permutation && !result.permutation && result.algorithm !== 'classic') {
+        test += '; no empirical p-values (random gene sets are compared with the classic test only)';
+    }
+    return `Annotations propagated to parent terms${version}${test}`;
+}
+
+// ===== List Comparison =====
+
+/**
+ * GO and KEGG over-representation of each named gene list (compareCluster
+ * style) with the analysis' test options. List genes map to proteins through
+ * the resolved union of all lists.
+ * @param {Object[]} lists - [{ name, genes: [query] }]
+ * @param {Object} payload - job input shared by all lists (taxid, background, test options)
+ * @param {string} goMode - 'separate' | 'combined' GO ontologies
+ * @returns {Promise<Object>} { lists: [{ name, size, mapped, go, kegg }] }
+ */
+async function runListComparison(lists, resolvedGenes, payload, goMode) {
+    const proteinOf = new Map(resolvedGenes.filter(g => g.proteinId).map(g => [g.query, g.proteinId]));
+    const runs = [];
+    for (let i = 0; i < lists.length; i++) {
+        const list = lists[i];
+        const proteinIds = [...new Set(list.genes.map(q => proteinOf.get(q)).filter(Boolean))];
+        const label = `Comparing lists ${i + 1}/${lists.length} (${list.name})`;
+        showLoading(`${label}: GO enrichment...`);
+        const go = await runGOJobs('go', { ...payload, proteinIds }, goMode, `${label}: GO enrichment`);
+        checkCancelled();
+        const kegg = await window.Compute.run('kegg', { ...payload, proteinIds },
+            f => showLoading(`${label}: KEGG enrichment... ${Math.round(f * 100)}%`));
+        checkCancelled();
+        runs.push({ name: list.name, size: list.genes.length, mapped: proteinIds.length, go, kegg });
+    }
+    return { lists: runs };
+}
+
+/** A list's result of the source that carries the shared test settings (lists without mapped genes have none). */
+function listComparisonReference(source) {
+    const results = state.listComparison.lists.map(l => l[source]);
+    return results.find(r => r.correction) || results[0];
+}
+
+/** Terms of the selected source (GO or KEGG) compared across lists; topN per list, all significant terms by default. */
+function listComparisonTerms(topN = Infinity) {
+    const source = state.compareView.source;
+    const runs = state.listComparison.lists.map(l => ({ name: l.name, result: l[source] }));
+    return window.Enrichment.compareEnrichments(runs, { topN });
+}
+
+function buildCompareTab() {
+    const container = $('#tab-compare');
+    const comparison = state.listComparison;
+    if (!comparison) {
+        container.innerHTML = state.geneLists
+            ? '<p class="no-data">List comparison uses over-representation analysis. Switch the enrichment method to over-representation to compare the lists.</p>'
+            : '<p class="no-data">Enter several named gene lists to compare their enrichment: start each list with a line such as <code>&gt;cluster 1</code>, or load a table and pick its group column.</p>';
+        return;
+    }
+
+    const first = listComparisonReference('go');
+    const sizes = comparison.lists.map(l => `${esc(l.name)}: ${l.mapped} / ${l.size} genes mapped`).join(' · ');
+    let statsHtml = `${comparison.lists.length} lists compared · GO and KEGG ${esc(TEST_DIRECTIONS[first.direction] || TEST_DIRECTIONS.over)} per list`;
+    // Each list estimates its own pi0, listed in the CSV notes
+    const correction = window.Enrichment.CORRECTIONS[(first.correction || {}).method];
+    if (correction) statsHtml += ` · ${esc(correction.name)} per list`;
+    statsHtml += `<div class="enrichment-background">${sizes}</div>`;
+
+    const view = state.compareView;
+    const option = (value, name, current) => `<option value="${value}" ${current === value ? 'selected' : ''}>${name}</option>`;
+    container.innerHTML = `
+        <div class="enrichment-stats">${statsHtml}</div>
+        <div class="enrichment-controls">
+            <div class="control-group">
+                <label>Annotations:</label>
+                <select id="compare-source" class="form-control form-control-sm" style="width: 90px;" onchange="updateCompareView()">
+                    ${option('go', 'GO', view.source)}
+                    ${option('kegg', 'KEGG', view.source)}
+                </select>
+            </div>
+            <div class="control-group">
+                <label>Top per list:</label>
+                <select id="compare-top-n" class="form-control form-control-sm" style="width: 60px;" onchange="updateCompareView()">
+                    ${[5, 10, 15, 20, 30].map(n => option(n, n, view.topN)).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label>Palette:</label>
+                <select id="compare-palette" class="form-control form-control-sm" style="width: 100px;" onchange="updateCompareView()">
+                    ${Object.keys(window.Plots.PALETTES).map(name => `<option value="${name}">${name}</option>`).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label>Export:</label>
+                <div class="btn-group">
+                    <button class="btn btn-sm" onclick="exportComparison('csv')">CSV</button>
+                    <button class="btn btn-sm" onclick="exportComparison('png')">PNG</button>
+                    <button class="btn btn-sm" onclick="exportComparison('svg')">SVG</button>
+                    <button class="btn btn-sm" onclick="exportComparison('pdf')">PDF</button>
+                </div>
+            </div>
+        </div>
+        <div id="compare-plot" class="enrichment-plot-container"></div>
+        <div class="table-responsive mt-4" id="compare-table"></div>`;
+    updateCompareView();
+}
+
+/** Redraw the comparison dot grid and side-by-side table from the tab's controls. */
+function updateCompareView() {
+    const comparison = state.listComparison;
+    if (!comparison) return;
+    state.compareView.source = $('#compare-source').value;
+    state.compareView.topN = parseInt($('#compare-top-n').value, 10) || 10;
+    const source = state.compareView.source;
+    const first = listComparisonReference(source);
+    const pLabel = correctionLabel(first);
+    const compared = listComparisonTerms(state.compareView.topN);
+
+    const plot = $('#compare-plot');
+    plot.innerHTML = '';
+    const svg = window.Plots.createCompareDotPlot(compared, $('#compare-palette').value,
+        `${source === 'go' ? 'GO' : 'KEGG'} Enrichment — List Comparison`, pLabel, comparison.lists.map(l => l.mapped));
+    if (svg) plot.appendChild(svg);
+    else plot.innerHTML = `<p class="no-data">No ${source === 'go' ? 'GO' : 'KEGG'} terms are significant in any list.</p>`;
+
+    // Side by side: adjusted p-value and gene ratio of each term in every list
+    const cutoff = enrichmentSigCutoff(first);
+    const headers = ['Term', 'Description', 'Category',
+        ...comparison.lists.flatMap(l => [`${esc(l.name)} ${esc(pLabel)}`, `${esc(l.name)} Gene Ratio`])];
+    const rows = compared.terms.map(t => `
+        <tr>
+            <td><div class="term-cell" title="${esc(t.term)}">${esc(t.term)}</div></td>
+            <td>${esc(t.description || '')}</td>
+            <td>${esc(t.category || '')}</td>
+            ${t.rows.map(r => r ? `
+            <td data-sort="${r.log10Fdr}" class="${r.fdr < cutoff ? 'text-success font-weight-bold' : ''}">${formatP(r.fdr, r.log10Fdr)}</td>
+            <td data-sort="${r.geneRatio}" class="direction-${esc(r.direction || 'enriched')}">${r.geneCount}/${r.totalGenes}</td>` : `
+            <td data-sort="0">—</td>
+            <td data-sort="0">—</td>`).join('')}
+        </tr>`).join('');
+    $('#compare-table').innerHTML = `
+        <table class="result-table">
+            <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+            <tbody>${rows || `<tr><td colspan="${headers.length}" class="text-muted">No significant terms in any list.</td></tr>`}</tbody>
+        </table>`;
+    makeTableSortable($('#compare-table table'));
+}
+
+/** Export the list comparison: CSV of every term significant in any list, or the dot grid. */
+function exportComparison(format) {
+    const comparison = state.listComparison;
+    if (!comparison) return alert('No list comparison to export. Enter several named lists and run an analysis first.');
+    const source = state.compareView.source;
+    const name = `compare_${source}_enrichment`;
+
+    if (format === 'csv') {
+        const first = listComparisonReference(source);
+        const pLabel = correctionLabel(first);
+        const getNameFn = (pid) => getPreferredName(pid, state.sourceSpecies);
+        const { formatPValue, formatOddsRatio } = window.Export;
+        const compared = listComparisonTerms();
+        const withEmpirical = comparison.lists.some(l => l[source].permutation);
+        const columns = ['P-Value', pLabel, ...(withEmpirical ? ['Empirical P-Value'] : []), 'Fold Enrichment',
+            'Odds Ratio', 'OR 95% CI Lower', 'OR 95% CI Upper', 'Gene Ratio', 'Direction', 'Genes'];
+        const headers = ['Term', 'Description', 'Category', ...comparison.lists.flatMap(l => columns.map(c => `${l.name} ${c}`))];
+        const rows = compared.terms.map(t => [t.term, t.description || '', t.category || '', ...t.rows.flatMap(r => r
+            ? [formatPValue(r.pValue, r.log10P), formatPValue(r.fdr, r.log10Fdr),
+                ...(withEmpirical ? [r.empiricalP !== undefined ? r.empiricalP.toExponential(4) : ''] : []), r.fold,
+                formatOddsRatio(r.oddsRatio), formatOddsRatio(r.orLower), formatOddsRatio(r.orUpper), `${r.geneCount}/${r.totalGenes}`, r.direction || '',
+                r.genes.map(g => (source === 'go' ? getNameFn(g) : g)).join(', ')]
+            : columns.map(() => ''))]);
+
+        // The notes of a single-list export, per list where the lists differ (sizes, pi0, background overlap)
+        const notes = [`List comparison (${source === 'go' ? 'GO' : 'KEGG'}): terms significant (${pLabel} < ${enrichmentSigCutoff(first)}) in at least one list`];
+        for (const l of comparison.lists) {
+            const result = l[source];
+            notes.push(`${l.name}: ${l.mapped} of ${l.size} genes mapped`);
+            if (correctionSummary(result)) notes.push(`${l.name}: Multiple testing correction: ${correctionSummary(result)}`);
+            if (directionSummary(result)) notes.push(`${l.name}: ${directionSummary(result)}`);
+            if (result.background) notes.push(`${l.name}: ${backgroundSummary(result)}`);
+        }
+        if (permutationSummary(first)) notes.push(permutationSummary(first));
+        if (first.goModel) notes.push(first.goModel);
+        notes.push(...(first.warnings || []), ...resolutionNotes(state.resolvedGenes, state.sourceSpecies));
+        window.Export.downloadTableCSV(headers, rows, `${name}.csv`, notes);
+    } else {
+        const svg = $('#compare-plot svg');
+        if (!svg) return alert('No plot to export. Render the plot first.');
+        if (format === 'png') window.Export.downloadPNG(svg, `${name}.png`);
+        else if (format === 'svg') window.Export.downloadSVG(svg, `${name}.svg`);
+        else if (format === 'pdf') window.Export.downloadPDF(svg, `${name}.pdf`);
+    }
+}
+
+// ===== Per-Ontology GO Runs =====
+
+const GO_ONTOLOGIES = [['BP', 'Biological Process'], ['MF', 'Molecular Function'], ['CC', 'Cellular Component']];
+
+/** 'BP' | 'MF' | 'CC' for a GO result category, '' when it names none. */
+function goOntologyKey(category) {
+    const match = GO_ONTOLOGIES.find(([, name]) => (category || '').includes(name));
+    return match ? match[0] : '';
+}
+
+/**
+ * Run a GO job ('go' or 'gsea-go') over all terms at once, or once per ontology
+ * so BP, MF and CC each get their own background and BH correction.
+ * @param {string} mode - 'separate' | 'combined'
+ * @returns {Promise<Object>} the job result; separate runs are merged by mergeGOOntologyRuns
+ */
+async function runGOJobs(job, payload, mode, label) {
+    if (mode !== 'separate') {
+        const result = await window.Compute.run(job, payload, f => showLoading(`${label}... ${Math.round(f * 100)}%`));
+        for (const r of result.results) r.ontology = goOntologyKey(r.category);
+        return result;
+    }
+    const parts = {};
+    for (let i = 0; i < GO_ONTOLOGIES.length; i++) {
+        const [key, name] = GO_ONTOLOGIES[i];
+        parts[key] = await window.Compute.run(job, { ...payload, categoryFilter: name },
+            f => showLoading(`${label} (${key})... ${Math.round((i + f) / GO_ONTOLOGIES.length * 100)}%`));
+        checkCancelled();
+    }
+    return mergeGOOntologyRuns(parts);
+}
+
+/**
+ * Merge per-ontology GO results into one result. Rows keep their own
+ * ontology's FDR; byOntology holds each run's stats (and GSEA ranking).
+ */
+function mergeGOOntologyRuns(parts) {
+    const runs = Object.values(parts);
+    const merged = {
+        ...runs[0],
+        results: [],
+        stats: {
+            mapped: Math.max(...runs.map(r => r.stats.mapped)),
+            total: runs[0].stats.total,
+            termsTotal: runs.reduce((sum, r) => sum + r.stats.termsTotal, 0),
+            bgSize: Math.max(...runs.map(r => r.stats.bgSize || 0)),
+            outsideBg: Math.max(...runs.map(r => r.stats.outsideBg || 0)),
+        },
+        ic: runs.some(r => r.ic) ? Object.assign({}, ...runs.map(r => r.ic || {})) : null,
+        direction: (runs.find(r => r.direction) || {}).direction,
+        correction: (runs.find(r => r.correction) || {}).correction,
+        permutation: (runs.find(r => r.permutation) || {}).permutation || null,
+        ranked: null,
+        byOntology: {},
+    };
+    for (const [key, run] of Object.entries(parts)) {
+        for (const r of run.results) r.ontology = key;
+        merged.results.push(...run.results);
+        merged.byOntology[key] = { stats: run.stats, ranked: run.ranked || null, correction: run.correction || null };
+    }
+    const log10P = (r) => r.log10P ?? Math.log10(r.pValue);
+    merged.results.sort((a, b) => log10P(a) - log10P(b));
+    return merged;
+}
+
+/** One line per ontology run: genes, terms tested and significant terms. */
+function goOntologyBreakdown(result) {
+    if (!result.byOntology) return '';
+    const cutoff = enrichmentSigCutoff(result);
+    const parts = GO_ONTOLOGIES.filter(([key]) => result.byOntology[key]).map(([key]) => {
+        const stats = result.byOntology[key].stats;
+        const sig = result.results.filter(r => r.ontology === key && r.fdr < cutoff).length;
+        return `${key}: ${stats.mapped} genes, ${stats.termsTotal} terms, ${sig} significant`;
+    });
+    return `Ontologies tested separately, each with its own FDR — ${parts.join(' · ')}`;
+}
+
+/** GO ranking a GSEA row's hit indices refer to: its ontology's run when tested separately. */
+function rankedFor(result, row) {
+    const part = result.byOntology && result.byOntology[row.ontology];
+    return part ? part.ranked : result.ranked;
+}
+
+/** GO ontology filter of the GO enrichment tab changed. */
+function setGOOntologyFilter(value) {
+    state.goOntologyFilter = value;
+    updateEnrichmentPlotAndTable('go');
+}
+
+/** Result rows passing the GO tab's ontology filter. */
+function filterGOOntology(type, rows) {
+    const key = state.goOntologyFilter;
+    return type === 'go' && key !== 'all' ? rows.filter(r => r.ontology === key) : rows;
+}
+
+/**
+ * Turn the uploaded gene scores into [{ id: proteinId, score }] for GSEA.
+ * Queries of the analysed list keep the protein chosen during resolution
+ * (disambiguation, mixed-species mapping); other rows take their first match.
+ */
+function buildRankedList(resolvedGenes, taxid) {
+    const chosen = new Map(resolvedGenes.filter(g => g.proteinId).map(g => [g.query, g.proteinId]));
+    const ranked = [];
+    for (const [query, score] of Object.entries(state.geneScores || {})) {
+        const pid = chosen.get(query) || resolveGeneCandidates(query, taxid)[0];
+        if (pid) ranked.push({ id: pid, score });
+    }
+    return ranked;
+}
+
 // ===== Enrichment Tab Builder =====
+
+/** Result shown in an enrichment tab: 'go' | 'kegg' | 'other'. */
+function enrichmentResult(type) {
+    return state[`${type}EnrichmentResults`];
+}
+
+/** Plot title of an enrichment tab; other-term results are named by their category. */
+function enrichmentTitle(type, result) {
+    if (type === 'go') return 'GO Enrichment';
+    if (type === 'kegg') return 'KEGG Pathway Enrichment';
+    return `${result.category || 'Other Annotation'} Enrichment`;
+}
+
+/** Plot types offered for a result: ORA or preranked GSEA. */
+function enrichmentPlotTypes(result) {
+    return result && result.method === 'gsea'
+        ? [['nes', 'NES'], ['running', 'Running Score'], ['tree', 'Tree']]
+        : [['bar', 'Bar'], ['dot', 'Dot'], ['or', 'Odds Ratio'], ['tree', 'Tree']];
+}
+
+/** Parent GO terms of a result row, shown under its description. */
+function parentTermsHtml(r) {
+    if (!r.parents || r.parents.length === 0) return '';
+    const list = r.parents.map(p => `${esc(p.description)} <span class="text-muted">(${esc(p.term)})</span>`).join(', ');
+    return `<div class="term-parents">Parents: ${list}</div>`;
+}
+
+/**
+ * Column/axis label of a result's adjusted p-values: the chosen correction for
+ * over-representation tests, the permutation FDR for GSEA.
+ */
+function correctionLabel(result) {
+    if (!result || result.method === 'gsea') return 'FDR';
+    const correction = window.Enrichment.CORRECTIONS[(result.correction || {}).method];
+    return correction ? correction.label : 'FDR';
+}
+
+/**
+ * Name of the correction for stats lines and CSV notes, with the estimated pi0
+ * for q-values (one per ontology when GO ontologies were run separately).
+ */
+function correctionSummary(result) {
+    const correction = window.Enrichment.CORRECTIONS[(result.correction || {}).method];
+    if (!correction) return '';
+    if (result.correction.method !== 'qvalue') return correction.name;
+    const pi0s = result.byOntology
+        ? Object.entries(result.byOntology).filter(([, part]) => part.correction).map(([key, part]) => `${key} ${part.correction.pi0.toFixed(3)}`)
+        : [result.correction.pi0.toFixed(3)];
+    return `${correction.name} (π₀ ${pi0s.join(', ')})`;
+}
+
+const PERMUTATION_MATCHES = {
+    none: 'random gene sets',
+    annotations: 'random gene sets matched on annotation count',
+    length: 'random gene sets matched on protein length',
+};
+
+/** Permutation settings behind the Empirical P column, '' when none were drawn. */
+function permutationSummary(result) {
+    const p = result.permutation;
+    if (!p) return '';
+    return `Empirical p-values from ${p.permutations} ${PERMUTATION_MATCHES[p.match]} (seed ${p.seed})`;
+}
+
+/** FDR threshold for calling a term significant: 0.25 for GSEA q-values, 0.05 otherwise. */
+function enrichmentSigCutoff(result) {
+    return result.method === 'gsea' ? 0.25 : 0.05;
+}
+
+/**
+ * Cluster significant GO terms by semantic similarity (see Enrichment.clusterGOTerms),
+ * or clear the clusters when reduction is off or no ontology was used.
+ */
+function applyGORedundancy(result) {
+    if (result.ic && state.goOntology && state.goRedundancy.threshold > 0) {
+        result.clusters = window.Enrichment.clusterGOTerms(result.results, state.goOntology, result.ic, {
+            threshold: state.goRedundancy.threshold,
+            sigCutoff: enrichmentSigCutoff(result),
+        });
+    } else {
+        result.clusters = null;
+        for (const r of result.results) {
+            delete r.representative;
+            delete r.clusterSize;
+        }
+    }
+}
+
+/** Redundancy controls of the GO enrichment tab changed. */
+function setGORedundancy() {
+    const result = state.goEnrichmentResults;
+    if (!result) return;
+    state.goRedundancy.threshold = parseFloat($('#go-redundancy').value) || 0;
+    state.goRedundancy.repsOnly = $('#go-reps-only').checked;
+    applyGORedundancy(result);
+    $('#go-cluster-summary').textContent = clusterSummary(result);
+    updateEnrichmentPlotAndTable('go');
+}
+
+function clusterSummary(result) {
+    if (!result.clusters) return '';
+    const clustered = result.clusters.reduce((n, c) => n + c.members.length, 0);
+    return `${clustered} significant terms in ${result.clusters.length} clusters`;
+}
+
+/**
+ * P-value for display. With its log10 (kept by the enrichment engine), values
+ * below double precision still show their digits, e.g. 3.20e-412.
+ */
+function formatP(v, log10) {
+    if (v >= 0.001) return v.toFixed(4);
+    if (!Number.isFinite(log10)) return v.toExponential(2);
+    let exponent = Math.floor(log10);
+    let mantissa = (10 ** (log10 - exponent)).toFixed(2);
+    if (mantissa === '10.00') {
+        mantissa = '1.00';
+        exponent += 1;
+    }
+    return `${mantissa}e${exponent}`;
+}
+
+/** Odds ratio or CI bound: infinite at the edge of the table's support, undefined without data. */
+function formatOR(v) {
+    if (v === Infinity) return '∞';
+    if (!Number.isFinite(v)) return '—';
+    return v !== 0 && (v < 0.01 || v >= 1000) ? v.toExponential(1) : v.toFixed(2);
+}
+
 function buildEnrichmentTab(type, result, sourceTaxid) {
     const container = $(`#tab-${type}-enrichment`);
-    const label = type === 'go' ? 'GO' : 'KEGG';
-
-    // Stats
-    const sig = result.results.filter(r => r.fdr < 0.05).length;
-    const statsHtml = `${result.stats.mapped} / ${result.stats.total} genes mapped · ${result.stats.termsTotal} terms tested · <strong>${sig} significant</strong> (FDR &lt; 0.05)`;
+    const label = type === 'go' ? 'GO' : type === 'kegg' ? 'KEGG' : (result.category || 'other annotation');
+    const gsea = result.method === 'gsea';
+    const categoryHtml = type === 'other' ? otherCategorySelectHtml(sourceTaxid) : '';
+
+    // Stats; per-ontology GO runs map a different gene set each, listed in the breakdown
+    const mapped = result.byOntology ? `${result.stats.total}` : `${result.stats.mapped} / ${result.stats.total}`;
+    let statsHtml;
+    if (gsea) {
+        // GSEA q-values are conventionally read at FDR < 0.25 (Subramanian et al., 2005)
+        const sig = result.results.filter(r => r.fdr < 0.25).length;
+        const opts = result.options || {};
+        statsHtml = `Preranked GSEA · ${mapped} ranked genes${result.byOntology ? '' : ' mapped'} · ${result.stats.termsTotal} sets tested (size ${opts.minSize}–${opts.maxSize}) · <strong>${sig} significant</strong> (FDR &lt; 0.25) · ${opts.permutations} permutations, seed ${opts.seed}`;
+        if (state.geneScoreSource) statsHtml += ` · scores: ${esc(state.geneScoreSource)}`;
+        if (result.goModel) statsHtml += `<div class="enrichment-background">${esc(result.goModel)}</div>`;
+    } else {
+        const sig = result.results.filter(r => r.fdr < 0.05).length;
+        statsHtml = `${mapped} genes${result.byOntology ? '' : ' mapped'} · ${result.stats.termsTotal} terms tested · <strong>${sig} significant</strong> (${esc(correctionLabel(result))} &lt; 0.05)`;
+        const correction = correctionSummary(result);
+        if (correction) statsHtml += ` · ${esc(correction)}`;
+        if (result.background) statsHtml += `<div class="enrichment-background">${esc(backgroundSummary(result))}</div>`;
+        if (result.goModel) statsHtml += `<div class="enrichment-background">${esc(result.goModel)}</div>`;
+        const direction = directionSummary(result);
+        if (direction) statsHtml += `<div class="enrichment-background">${esc(direction)}</div>`;
+        const permutation = permutationSummary(result);
+        if (permutation) statsHtml += `<div class="enrichment-background">${esc(permutation)}</div>`;
+    }
+    if (result.byOntology) statsHtml += `<div class="enrichment-background">${esc(goOntologyBreakdown(result))}</div>`;
+    if (result.warnings && result.warnings.length > 0) {
+        statsHtml += `<div class="enrichment-warning" title="${esc(result.warnings.join('\n'))}">Built on partial data: ${result.warnings.length} file(s) failed to load. Background sets may be incomplete.</div>`;
+    }
 
     if (result.results.length === 0) {
-        container.innerHTML = `<div id="${type}-enrichment-stats" class="enrichment-stats">${statsHtml}</div><p class="no-data">No enriched ${label} terms found.</p>`;
+        const controls = categoryHtml ? `<div class="enrichment-controls">${categoryHtml}</div>` : '';
+        container.innerHTML = `${controls}<div id="${type}-enrichment-stats" class="enrichment-stats">${statsHtml}</div><p class="no-data">No enriched ${esc(label)} terms found.</p>`;
         return;
     }
 
-    const currentPlotType = state.enrichmentPlotType[type] || 'bar';
+    const plotTypes = enrichmentPlotTypes(result);
+    let currentPlotType = state.enrichmentPlotType[type];
+    if (!plotTypes.some(([id]) => id === currentPlotType)) currentPlotType = plotTypes[0][0];
+    state.enrichmentPlotType[type] = currentPlotType;
+
+    // Semantic-similarity clustering needs the GO graph and information content
+    let redundancyHtml = '';
+    if (type === 'go' && result.ic && state.goOntology) {
+        applyGORedundancy(result);
+        const threshold = state.goRedundancy.threshold;
+        const option = (value, name) => `<option value="${value}" ${threshold === value ? 'selected' : ''}>${name}</option>`;
+        redundancyHtml = `
+            <div class="control-group">
+                <label>Similar terms:</label>
+                <select id="go-redundancy" class="form-control form-control-sm" style="width: 150px;" onchange="setGORedundancy()"
+                    title="Cluster significant terms whose Lin semantic similarity reaches the threshold">
+                    ${option(0, 'Show all')}
+                    ${option(0.9, 'Cluster (sim ≥ 0.9)')}
+                    ${option(0.7, 'Cluster (sim ≥ 0.7)')}
+                    ${option(0.5, 'Cluster (sim ≥ 0.5)')}
+                    ${option(0.4, 'Cluster (sim ≥ 0.4)')}
+                </select>
+                <label class="inline-check"><input type="checkbox" id="go-reps-only" ${state.goRedundancy.repsOnly ? 'checked' : ''} onchange="setGORedundancy()"> Plot representatives only</label>
+                <span id="go-cluster-summary" class="text-muted">${clusterSummary(result)}</span>
+            </div>`;
+    }
+
+    let ontologyHtml = '';
+    if (type === 'go' && result.byOntology) {
+        const option = (value, name) => `<option value="${value}" ${state.goOntologyFilter === value ? 'selected' : ''}>${name}</option>`;
+        ontologyHtml = `
+            <div class="control-group">
+                <label>Ontology:</label>
+                <select id="go-ontology-filter" class="form-control form-control-sm" style="width: 170px;" onchange="setGOOntologyFilter(this.value)">
+                    ${option('all', 'All (one panel each)')}
+                    ${GO_ONTOLOGIES.map(([key, name]) => option(key, name)).join('')}
+                </select>
+            </div>`;
+    }
+
+    const headers = gsea
+        ? ['Term', 'Description', 'Category', 'ES', 'NES', 'P-Value', 'FDR', 'Leading Edge', 'Size']
+        : ['Term', 'Description', 'Category', 'P-Value', esc(correctionLabel(result)), ...(result.permutation ? ['Empirical P'] : []), 'Fold', 'Odds Ratio (95% CI)', 'Gene Ratio', 'Direction', 'Genes', 'Bg'];
 
     let html = `
         <div id="${type}-enrichment-stats" class="enrichment-stats">${statsHtml}</div>
         <div class="enrichment-controls">
+            ${categoryHtml}
             <div class="control-group">
                 <label>Plot:</label>
                 <div class="btn-group">
-                    <button class="btn btn-sm plot-toggle ${currentPlotType === 'bar' ? 'active' : ''}" data-plot="bar" onclick="switchEnrichmentPlot('${type}', 'bar')">Bar</button>
-                    <button class="btn btn-sm plot-toggle ${currentPlotType === 'dot' ? 'active' : ''}" data-plot="dot" onclick="switchEnrichmentPlot('${type}', 'dot')">Dot</button>
-                    <button class="btn btn-sm plot-toggle ${currentPlotType === 'tree' ? 'active' : ''}" data-plot="tree" onclick="switchEnrichmentPlot('${type}', 'tree')">Tree</button>
+                    ${plotTypes.map(([id, name]) => `<button class="btn btn-sm plot-toggle ${currentPlotType === id ? 'active' : ''}" data-plot="${id}" onclick="switchEnrichmentPlot('${type}', '${id}')">${name}</button>`).join('')}
                 </div>
             </div>
             <div class="control-group">
@@ -960,6 +2889,8 @@ function buildEnrichmentTab(type, result, sourceTaxid) {
                     <option value="Greys">Greys</option>
                 </select>
             </div>
+            ${ontologyHtml}
+            ${redundancyHtml}
             <div class="control-group">
                 <label>Export:</label>
                 <div class="btn-group">
@@ -975,19 +2906,12 @@ function buildEnrichmentTab(type, result, sourceTaxid) {
             <table class="result-table">
                 <thead>
                     <tr>
-                        <th>Term</th>
-                        <th>Description</th>
-                        <th>Category</th>
-                        <th>P-Value</th>
-                        <th>FDR</th>
-                        <th>Fold</th>
-                        <th>Genes</th>
-                        <th>Bg</th>
+                        ${headers.map(h => `<th>${h}</th>`).join('')}
                     </tr>
                 </thead>
                 <tbody>
                     <tr>
-                        <td colspan="8" class="text-muted">Loading...</td>
+                        <td colspan="${headers.length}" class="text-muted">Loading...</td>
                     </tr>
                 </tbody>
             </table>
@@ -995,32 +2919,82 @@ function buildEnrichmentTab(type, result, sourceTaxid) {
 
     container.innerHTML = html;
     container.querySelectorAll('table').forEach(makeTableSortable);
+    container.querySelector('tbody').addEventListener('click', (e) => {
+        // Cluster toggles first: re-rendering for the running-score plot would hide the members again
+        const toggle = e.target.closest('.cluster-toggle');
+        if (toggle) {
+            const members = container.querySelectorAll(`tr.cluster-member[data-rep="${CSS.escape(toggle.dataset.cluster)}"]`);
+            const show = members.length > 0 && members[0].hidden;
+            members.forEach(tr => { tr.hidden = !show; });
+            toggle.textContent = show ? 'hide similar' : `+${members.length} similar`;
+            return;
+        }
+        if (!gsea) return;
+        // Clicking a set shows its running-score plot
+        const tr = e.target.closest('tr[data-term]');
+        if (!tr) return;
+        state.gseaSelectedTerm[type] = tr.dataset.term;
+        switchEnrichmentPlot(type, 'running');
+    });
     updateEnrichmentPlotAndTable(type); // Initial render of the plot
 }
 
 function renderEnrichmentRows(type, sourceTaxid, topN) {
-    const result = type === 'go' ? state.goEnrichmentResults : state.keggEnrichmentResults;
+    const result = enrichmentResult(type);
     const table = document.querySelector(`#tab-${type}-enrichment table.result-table`);
     if (!result || !table) return;
 
     const tbody = table.querySelector('tbody');
     if (!tbody) return;
 
-    const rows = result.results.slice(0, topN).map(r => `
-        <tr>
-            <td><div class="term-cell" title="${esc(r.term)}">${esc(r.term)}</div></td>
-            <td>${esc(r.description || '')}</td>
-            <td>${esc(r.category || '')}</td>
-            <td>${r.pValue < 0.001 ? r.pValue.toExponential(2) : r.pValue.toFixed(4)}</td>
-            <td class="${r.fdr < 0.05 ? 'text-success font-weight-bold' : ''}">${r.fdr < 0.001 ? r.fdr.toExponential(2) : r.fdr.toFixed(4)}</td>
+    const gsea = result.method === 'gsea';
+    const cutoff = enrichmentSigCutoff(result);
+    const selected = state.gseaSelectedTerm[type];
+    const rowHtml = (r, member) => {
+        // Cluster members sit collapsed under their representative
+        const classes = [gsea ? 'gsea-row' : '', gsea && r.term === selected ? 'selected' : '', member ? 'cluster-member' : ''].filter(Boolean).join(' ');
+        const attrs = `${gsea ? `data-term="${esc(r.term)}" title="Show the running enrichment score"` : ''}${member ? ` data-rep="${esc(r.representative)}" hidden` : ''}`;
+        const toggle = !member && r.clusterSize > 1
+            ? ` <button type="button" class="cluster-toggle" data-cluster="${esc(r.term)}" title="Show the similar terms of this cluster">+${r.clusterSize - 1} similar</button>`
+            : '';
+        const cells = gsea ? `
+            <td>${r.es.toFixed(3)}</td>
+            <td>${r.nes.toFixed(2)}</td>
+            <td>${formatP(r.pValue)}</td>
+            <td class="${r.fdr < cutoff ? 'text-success font-weight-bold' : ''}">${formatP(r.fdr)}</td>` : `
+            <td data-sort="${r.log10P}">${formatP(r.pValue, r.log10P)}</td>
+            <td data-sort="${r.log10Fdr}" class="${r.fdr < cutoff ? 'text-success font-weight-bold' : ''}">${formatP(r.fdr, r.log10Fdr)}</td>${result.permutation ? `
+            <td>${formatP(r.empiricalP)}</td>` : ''}
             <td>${r.fold.toFixed(2)}</td>
+            <td data-sort="${Number.isFinite(r.oddsRatio) || r.oddsRatio === Infinity ? r.oddsRatio : ''}">${formatOR(r.oddsRatio)} <span class="text-muted">(${formatOR(r.orLower)}–${formatOR(r.orUpper)})</span></td>
+            <td data-sort="${r.geneRatio}">${r.geneCount}/${r.totalGenes}</td>
+            <td class="direction-${esc(r.direction || 'enriched')}">${r.direction === 'depleted' ? '▼ depleted' : '▲ enriched'}</td>`;
+        return `
+        <tr${classes ? ` class="${classes}"` : ''} ${attrs}>
+            <td><div class="term-cell" title="${esc(r.term)}">${esc(r.term)}</div>${toggle}</td>
+            <td>${esc(r.description || '')}${parentTermsHtml(r)}</td>
+            <td>${esc(r.category || '')}</td>${cells}
             <td class="alias-text" title="${esc((r.genes || []).map(g => getPreferredName(g, sourceTaxid)).join(', '))}">
                 ${r.geneCount}
             </td>
             <td>${r.bgCount}</td>
-        </tr>`).join('');
+        </tr>`;
+    };
 
-    tbody.innerHTML = rows || '<tr><td colspan="8" class="text-muted">No enrichment rows available.</td></tr>';
+    const byRep = new Map();
+    for (const r of result.results) {
+        if (!r.representative || r.representative === r.term) continue;
+        if (!byRep.has(r.representative)) byRep.set(r.representative, []);
+        byRep.get(r.representative).push(r);
+    }
+    const rows = filterGOOntology(type, result.results)
+        .filter(r => !r.representative || r.representative === r.term)
+        .slice(0, topN)
+        .map(r => rowHtml(r, false) + (byRep.get(r.term) || []).map(m => rowHtml(m, true)).join(''))
+        .join('');
+
+    const columns = gsea ? 9 : 11 + (result.permutation ? 1 : 0);
+    tbody.innerHTML = rows || `<tr><td colspan="${columns}" class="text-muted">No enrichment rows available.</td></tr>`;
 }
 
 function switchEnrichmentPlot(type, plotType) {
@@ -1037,7 +3011,7 @@ function switchEnrichmentPlot(type, plotType) {
 }
 
 function updateEnrichmentPlotAndTable(type, forcedPlotType) {
-    const result = type === 'go' ? state.goEnrichmentResults : state.keggEnrichmentResults;
+    const result = enrichmentResult(type);
     if (!result) return;
 
     const container = document.getElementById(`enrichment-plot-${type}`);
@@ -1051,7 +3025,9 @@ function updateEnrichmentPlotAndTable(type, forcedPlotType) {
     const paletteSelect = document.getElementById(`enrich-palette-${type}`);
     const palette = paletteSelect ? paletteSelect.value : 'Default';
 
-    const plotType = forcedPlotType || state.enrichmentPlotType[type] || 'bar';
+    const plotTypes = enrichmentPlotTypes(result);
+    let plotType = forcedPlotType || state.enrichmentPlotType[type];
+    if (!plotTypes.some(([id]) => id === plotType)) plotType = plotTypes[0][0];
     state.enrichmentPlotType[type] = plotType;
 
     document.querySelectorAll(`#tab-${type}-enrichment .plot-toggle`).forEach(btn => {
@@ -1059,14 +3035,37 @@ function updateEnrichmentPlotAndTable(type, forcedPlotType) {
     });
 
     let svg;
-    const title = type === 'go' ? 'GO Enrichment' : 'KEGG Pathway Enrichment';
+    const title = enrichmentTitle(type, result);
+    let plotResults = filterGOOntology(type, result.results);
+    if (type === 'go' && result.clusters && state.goRedundancy.repsOnly) {
+        plotResults = plotResults.filter(r => !r.representative || r.representative === r.term);
+    }
+
+    const pLabel = correctionLabel(result);
+    const draw = (rows, panelTitle) => {
+        if (plotType === 'nes') return window.Plots.createNESBarChart(rows, topN, palette, panelTitle + ' — GSEA');
+        if (plotType === 'bar') return window.Plots.createBarChart(rows, topN, palette, panelTitle, pLabel);
+        if (plotType === 'or') return window.Plots.createBarChart(rows, topN, palette, panelTitle + ' — Odds Ratio', pLabel, 'or');
+        if (plotType === 'tree') return window.Plots.createClusterTree(rows, topN, palette, panelTitle + ' — Hierarchical Clustering', pLabel);
+        return window.Plots.createDotPlot(rows, topN, palette, panelTitle, pLabel);
+    };
 
-    if (plotType === 'bar') {
-        svg = window.Plots.createBarChart(result.results, topN, palette, title);
-    } else if (plotType === 'tree') {
-        svg = window.Plots.createClusterTree(result.results, topN, palette, title + ' — Hierarchical Clustering');
+    if (plotType === 'running') {
+        const row = plotResults.find(r => r.term === state.gseaSelectedTerm[type]) || plotResults[0];
+        if (row) {
+            state.gseaSelectedTerm[type] = row.term;
+            const scores = rankedFor(result, row).map(r => r.score);
+            const curve = window.Enrichment.gseaRunningSum(scores, row.hits, (result.options || {}).weight || 1);
+            svg = window.Plots.createRunningScorePlot(scores, row, curve, palette, title);
+        }
+    } else if (type === 'go' && result.byOntology) {
+        // One panel per ontology, each ranked by its own FDR
+        const panels = GO_ONTOLOGIES
+            .map(([key, name]) => draw(plotResults.filter(r => r.ontology === key), `${title} — ${name}`))
+            .filter(Boolean);
+        svg = panels.length > 1 ? window.Plots.stackPanels(panels) : panels[0];
     } else {
-        svg = window.Plots.createDotPlot(result.results, topN, palette, title);
+        svg = draw(plotResults, title);
     }
 
     if (svg) {
@@ -1079,14 +3078,36 @@ function updateEnrichmentPlotAndTable(type, forcedPlotType) {
 }
 
 function exportEnrichment(type, format) {
-    const result = type === 'go' ? state.goEnrichmentResults : state.keggEnrichmentResults;
+    const result = enrichmentResult(type);
     if (!result) return alert('No enrichment results to export. Run an analysis first.');
 
     const getNameFn = (pid) => getPreferredName(pid, state.sourceSpecies);
-    const name = `${type}_enrichment`;
+    const stem = type === 'other' ? `other_${(result.category || 'terms').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '')}` : type;
+    const name = `${stem}_enrichment`;
 
     if (format === 'csv') {
-        window.Export.downloadCSV(result.results, `${name}.csv`, getNameFn);
+        const notes = [...(result.warnings || []), ...resolutionNotes(state.resolvedGenes, state.sourceSpecies)];
+        if (result.background) notes.unshift(backgroundSummary(result));
+        if (result.goModel) notes.unshift(result.goModel);
+        if (permutationSummary(result)) notes.unshift(permutationSummary(result));
+        if (directionSummary(result)) notes.unshift(directionSummary(result));
+        if (correctionSummary(result)) notes.unshift(`Multiple testing correction: ${correctionSummary(result)}`);
+        if (result.byOntology) notes.unshift(goOntologyBreakdown(result));
+        if (type === 'other') notes.unshift(`Category: ${result.category}`);
+        if (result.clusters) notes.push(`Similar terms clustered at Lin similarity >= ${state.goRedundancy.threshold}: ${clusterSummary(result)}`);
+        if (result.method === 'gsea') {
+            const o = result.options || {};
+            notes.unshift(`Preranked GSEA: ${o.permutations} gene-set permutations, seed ${o.seed}, set size ${o.minSize}-${o.maxSize}, scores: ${state.geneScoreSource || 'uploaded'}`);
+            const headers = ['Term', 'Description', 'Category', ...(type === 'go' ? ['Ontology'] : []), 'ES', 'NES', 'P-Value', 'FDR', 'Set Size', 'Leading Edge Size', 'Leading Edge Genes', 'Parent Terms', 'Cluster Representative'];
+            const rows = result.results.map(r => [
+                r.term, r.description || '', r.category || '', ...(type === 'go' ? [r.ontology || ''] : []), r.es.toFixed(4), r.nes.toFixed(4),
+                r.pValue.toExponential(4), r.fdr.toExponential(4), r.bgCount, r.geneCount,
+                r.genes.map(getNameFn).join(', '), (r.parents || []).map(p => p.term).join('; '), r.representative || '',
+            ]);
+            window.Export.downloadTableCSV(headers, rows, `${stem}_gsea.csv`, notes);
+        } else {
+            window.Export.downloadCSV(result.results, `${name}.csv`, getNameFn, notes, correctionLabel(result));
+        }
     } else {
         const svg = $(`#enrichment-plot-${type} svg`);
         if (!svg) return alert('No plot to export. Render the plot first.');
@@ -1143,9 +3164,379 @@ function renderDBVersions() {
       <a class="db-card-url" href="https://string-db.org" target="_blank">${esc(pm.url || 'https://string-db.org')}</a>
     </div>`;
     }
+    // GO ontology card (loaded with the first GO enrichment)
+    if (state.goOntology) {
+        const go = state.goOntology;
+        html += `<div class="db-card">
+      <div class="db-card-header">
+        <span class="db-card-name">GO Ontology</span>
+        <span class="db-card-version">${esc(go.version || '')}</span>
+      </div>
+      <div class="db-card-desc">go-basic.obo term graph (is_a, part_of) for annotation propagation</div>
+      <div class="db-card-date">Terms: ${Object.keys(go.terms).length.toLocaleString()}</div>
+      <a class="db-card-url" href="https://geneontology.org/docs/download-ontology/" target="_blank">https://geneontology.org/docs/download-ontology/</a>
+    </div>`;
+    }
     els.dbVersionList.innerHTML = html;
 }
 
+// ===== Data Diagnostics =====
+const INTEGRITY_LABELS = {
+    unchecked: 'Not listed',
+    verified: 'Verified',
+    mismatch: 'Mismatch',
+    unavailable: 'Not checked (insecure context)',
+};
+
+function renderDiagnostics() {
+    const container = $('#diagnostics-panel');
+    if (!container) return;
+
+    const taxids = Object.keys(state.loadReports);
+    if (taxids.length === 0) {
+        container.innerHTML = '<p class="no-data">No species data loaded yet. Run an analysis to see per-file load results.</p>';
+        return;
+    }
+
+    let html = '';
+    for (const taxid of taxids) {
+        const report = state.loadReports[taxid];
+        const failed = failedFiles(report);
+        const source = report.source === 'cache' ? 'browser cache (report from original download)'
+            : report.source === 'import' ? 'local import' : 'network';
+        html += `<div class="db-card">
+      <div class="db-card-header">
+        <span class="db-card-name">${italicSpeciesName(getSpeciesName(taxid))}</span>
+        <span class="db-card-version">${failed.length === 0 ? 'Complete' : `${failed.length} failed`}</span>
+      </div>
+      <div class="db-card-date">Loaded from ${esc(source)} · ${esc((report.loadedAt || '').slice(0, 19).replace('T', ' '))}</div>
+      <div class="table-responsive"><table class="result-table diagnostics-table"><thead><tr>
+        <th>File</th><th>HTTP</th><th>Parsed</th><th>Keys</th><th>Checksum</th><th>Status</th>
+      </tr></thead><tbody>`;
+        for (const f of report.files) {
+            html += `<tr class="${f.parsed && !f.rejected ? '' : 'diagnostics-failed'}">
+          <td><code>${esc(f.file)}</code></td>
+          <td>${f.status || '—'}</td>
+          <td>${f.parsed ? 'Yes' : 'No'}</td>
+          <td>${f.parsed ? f.keys : '—'}</td>
+          <td>${esc(INTEGRITY_LABELS[f.integrity] || '—')}</td>
+          <td>${f.parsed && !f.rejected ? (f.keys === 0 ? 'Empty' : 'OK') : esc(f.error || 'Failed')}</td>
+        </tr>`;
+        }
+        html += '</tbody></table></div></div>';
+    }
+    container.innerHTML = html;
+}
+
+// ===== Cached Data Manager =====
+async function renderCacheManager() {
+    const container = $('#cache-manager');
+    if (!container) return;
+
+    if (!(await window.DataCache.isAvailable())) {
+        container.innerHTML = '<p class="no-data">Persistent storage is not available in this browser. Species data is downloaded on every visit.</p>';
+        return;
+    }
+
+    const entries = await window.DataCache.listEntries();
+    const meta = state.metadata || {};
+    const offline = getOfflineSpecies();
+
+    // Group entries by species (bundle plus any PPI shards)
+    const bySpecies = {};
+    for (const e of entries) {
+        if (!bySpecies[e.taxid]) bySpecies[e.taxid] = { size: 0, savedAt: '', outdated: false };
+        const sp = bySpecies[e.taxid];
+        sp.size += e.size || 0;
+        if (!sp.savedAt || e.savedAt > sp.savedAt) sp.savedAt = e.savedAt;
+        if (e.imported) sp.imported = true;
+        else if (e.downloadDate !== meta.download_date || e.toolVersion !== meta.tool_version) sp.outdated = true;
+    }
+
+    // Every species from species.json, plus anything cached that is no longer listed
+    const taxids = [...new Set([...state.speciesList.map(sp => sp.taxid), ...Object.keys(bySpecies)])];
+    let html = '<p class="cache-intro">Species data is kept in this browser after the first download and reused until a new data release is published. Mark a species <em>available offline</em> to download all of its files now, including every PPI shard, and refresh it automatically when a new release is online.</p>';
+
+    let total = 0;
+    html += `<div class="table-responsive"><table class="result-table"><thead><tr>
+      <th>Species</th><th>Size</th><th>Saved</th><th>Status</th><th>Available offline</th><th></th>
+    </tr></thead><tbody>`;
+    for (const taxid of taxids) {
+        const sp = bySpecies[taxid];
+        if (sp) total += sp.size;
+        let status = '<span class="no-data">Not cached</span>';
+        if (_offlinePinning.has(taxid)) status = '<span class="tag tag-kegg">Downloading…</span>';
+        else if (sp && sp.imported) status = '<span class="tag tag-phylo">Imported</span>';
+        else if (sp && sp.outdated) status = '<span class="tag tag-alias">Outdated</span>';
+        else if (sp) status = '<span class="tag tag-nog">Current</span>';
+        html += `<tr>
+        <td>${italicSpeciesName(getSpeciesName(taxid))}</td>
+        <td>${sp ? formatBytes(sp.size) : ''}</td>
+        <td>${esc(sp && sp.savedAt ? sp.savedAt.slice(0, 10) : '')}</td>
+        <td>${status}</td>
+        <td>${sp && sp.imported
+            ? '<span class="no-data">Always</span>'
+            : `<input type="checkbox" data-offline-toggle="${esc(taxid)}" ${offline.includes(taxid) ? 'checked' : ''} ${_offlinePinning.has(taxid) ? 'disabled' : ''}>`}</td>
+        <td>${sp ? `<button class="btn btn-sm btn-ghost" data-cache-clear="${esc(taxid)}">Clear</button>` : ''}</td>
+      </tr>`;
+    }
+    html += '</tbody></table></div>';
+    html += `<div class="cache-footer"><span>Total: <strong>${formatBytes(total)}</strong></span>
+      <button class="btn btn-sm btn-ghost" data-cache-clear="all">Clear all</button></div>`;
+
+    container.innerHTML = html;
+    container.querySelectorAll('[data-cache-clear]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const target = btn.dataset.cacheClear;
+            btn.disabled = true;
+            // Cleared species are no longer available offline
+            if (target === 'all') {
+                setOfflineSpecies([]);
+                await window.DataCache.clearAll();
+            } else {
+                setOfflineSpecies(getOfflineSpecies().filter(t => t !== target));
+                await window.DataCache.removeSpecies(target);
+            }
+            // Clearing an imported species removes it from the selectors as well
+            await loadImportedSpecies();
+            renderSpeciesSelectors();
+            renderCacheManager();
+        });
+    });
+    container.querySelectorAll('[data-offline-toggle]').forEach(cb => {
+        cb.addEventListener('change', () => {
+            const taxid = cb.dataset.offlineToggle;
+            if (cb.checked) {
+                pinSpeciesOffline(taxid);
+            } else {
+                setOfflineSpecies(getOfflineSpecies().filter(t => t !== taxid));
+            }
+        });
+    });
+}
+
+// ===== Offline Species =====
+const _offlinePinning = new Set(); // taxids currently downloading for offline use
+
+function getOfflineSpecies() {
+    try {
+        return JSON.parse(localStorage.getItem('pr-offline-species') || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+function setOfflineSpecies(taxids) {
+    localStorage.setItem('pr-offline-species', JSON.stringify(taxids));
+}
+
+/**
+ * Download everything a species needs to be analyzed without network access:
+ * its bundle, all PPI shards and the shared phylogeny files (kept by the service worker).
+ */
+async function pinSpeciesOffline(taxid) {
+    if (_offlinePinning.has(taxid)) return;
+    _offlinePinning.add(taxid);
+    if (!getOfflineSpecies().includes(taxid)) setOfflineSpecies([...getOfflineSpecies(), taxid]);
+    renderCacheManager();
+    try {
+        const data = await loadSpeciesData(taxid);
+        if (data.ppiIndex) {
+            const shards = new Set(data.ppiIndex.bucket_shard);
+            await Promise.all([...shards].map(n => loadPPIShard(taxid, n)));
+        }
+        await loadPhylogenyData();
+        const failed = failedFiles(state.loadReports[taxid]);
+        if (failed.length > 0) {
+            alert(`${getSpeciesName(taxid)}: ${failed.length} file(s) failed to download. The species may be incomplete offline; see Diagnostics.`);
+        }
+    } catch (err) {
+        console.error(`Offline download failed for ${taxid}:`, err);
+        alert(`Could not download ${getSpeciesName(taxid)} for offline use: ${err.message}`);
+    } finally {
+        _offlinePinning.delete(taxid);
+        if (!_analysisRunning) hideLoading();
+        renderCacheManager();
+    }
+}
+
+/** Re-download offline species whose cached copy predates the current release. */
+async function refreshOfflineSpecies() {
+    const offline = getOfflineSpecies().filter(t => !isImportedSpecies(t));
+    if (offline.length === 0 || !navigator.onLine || !state.metadata) return;
+    const entries = await window.DataCache.listEntries();
+    const current = new Set(entries
+        .filter(e => e.key === e.taxid
+            && e.downloadDate === state.metadata.download_date
+            && e.toolVersion === state.metadata.tool_version)
+        .map(e => e.taxid));
+    for (const taxid of offline) {
+        if (!current.has(taxid)) await pinSpeciesOffline(taxid);
+    }
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js').catch(err => {
+        console.warn('Service worker registration failed:', err);
+    });
+}
+
+// ===== Species Import =====
+let _pendingImport = null; // { files, manifest } picked in the import dialog
+
+/**
+ * Drop everything held in memory for a species (bundle, load report, release,
+ * PPI shard loads, name suggestions and the compute worker's copy) when it is
+ * removed or replaced.
+ */
+function forgetSpeciesData(taxid) {
+    delete state.cache[taxid];
+    delete state.loadReports[taxid];
+    delete state.dataReleases[taxid];
+    delete _suggestIndex[taxid];
+    for (const key of Object.keys(_ppiShardLoads)) {
+        if (key.startsWith(`${taxid}:`)) delete _ppiShardLoads[key];
+    }
+    window.Compute.forgetSpeciesData(taxid);
+}
+
+/** Add species imported in earlier sessions (kept in browser storage) to the species list. */
+async function loadImportedSpecies() {
+    const entries = await window.DataCache.listEntries();
+    const builtIn = state.speciesList.filter(s => !s.imported);
+    const imported = entries
+        .filter(e => e.imported && e.species && !builtIn.some(s => s.taxid === e.taxid))
+        .map(e => e.species);
+    for (const sp of state.speciesList) {
+        if (sp.imported && !imported.some(i => i.taxid === sp.taxid)) forgetSpeciesData(sp.taxid);
+    }
+    state.speciesList = [...builtIn, ...imported];
+}
+
+function openImportDialog() {
+    _pendingImport = null;
+    $('#import-form').hidden = true;
+    $('#import-error').hidden = true;
+    $('#import-folder').value = '';
+    $('#import-zip').value = '';
+    $('#import-modal').hidden = false;
+}
+
+function showImportError(message) {
+    const el = $('#import-error');
+    el.textContent = message;
+    el.hidden = false;
+}
+
+/** Read a picked folder or zip and prefill the import form from it. */
+async function onImportPicked(fileList, isZip) {
+    if (!fileList || fileList.length === 0) return;
+    $('#import-error').hidden = true;
+    $('#import-form').hidden = true;
+    try {
+        const entries = isZip
+            ? await window.SpeciesImport.readZip(fileList[0])
+            : await window.SpeciesImport.readFolder(fileList);
+        const bundle = window.SpeciesImport.locateBundle(entries);
+        const decode = (name) => JSON.parse(new TextDecoder().decode(bundle.files.get(name)));
+        const manifest = decode('manifest.json');
+
+        // Prefill from a species.json next to the manifest, else the folder name
+        let meta = {};
+        if (bundle.files.has('species.json')) {
+            const list = decode('species.json');
+            meta = (Array.isArray(list) ? list[0] : list) || {};
+        }
+        const dirName = bundle.dir.split('/').pop();
+        const infoFile = (manifest.info || 1) > 1 ? 'info_0.json' : 'info.json';
+        const ids = bundle.files.has(infoFile) ? Object.keys(decode(infoFile)) : [];
+
+        _pendingImport = { files: bundle.files, manifest };
+        $('#import-taxid').value = meta.taxid || (/^\d+$/.test(dirName) ? dirName : '');
+        $('#import-name').value = meta.compact_name || '';
+        $('#import-pattern').value = meta.gene_pattern || window.SpeciesImport.suggestIdPattern(ids);
+        $('#import-summary').textContent = `${bundle.files.size} files from ${bundle.dir || 'the archive root'}` +
+            (ids.length ? `, ${ids.length.toLocaleString()} proteins in ${infoFile}` : '');
+        $('#import-form').hidden = false;
+    } catch (err) {
+        console.error('Import read failed:', err);
+        showImportError(err instanceof SyntaxError ? `Invalid JSON in bundle: ${err.message}` : err.message);
+    }
+}
+
+/** Load the picked bundle, store it in browser storage and register the species. */
+async function importSpecies() {
+    if (!_pendingImport) return;
+    const taxid = $('#import-taxid').value.trim();
+    const name = $('#import-name').value.trim();
+    const pattern = $('#import-pattern').value.trim();
+
+    if (state.speciesList.some(s => s.taxid === taxid && !s.imported)) {
+        return showImportError(`${getSpeciesName(taxid)} (${taxid}) is already built in. Use a different taxonomy ID.`);
+    }
+    if (pattern) {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (e) {
+            return showImportError(`Invalid gene ID pattern: ${e.message}`);
+        }
+    }
+
+    const { files, manifest } = _pendingImport;
+    const report = { taxid, source: 'import', bytes: 0, files: [], loadedAt: new Date().toISOString() };
+    const data = await loadBundle(files, manifest, report);
+    // Sharded bundles are local anyway: merge every shard up front
+    if (manifest.ppi_shards) {
+        for (let i = 0; i < manifest.ppi_shards; i++) {
+            const file = `ppi_shard_${i}.json`;
+            Object.assign(data.ppi, await readLocalJSON(files, file, report, (manifest.integrity || {})[file]));
+        }
+        data.ppiIndex = null;
+    }
+
+    if (Object.keys(data.nameLookup).length === 0 && Object.keys(data.info).length === 0) {
+        return showImportError('The bundle has no name_lookup or info data, so no genes could be resolved.');
+    }
+    const failed = failedFiles(report);
+    if (failed.length > 0 && !confirm(`${failed.length} file(s) could not be read (${failed.map(f => f.file).join(', ')}). Import anyway?`)) {
+        return;
+    }
+
+    const species = {
+        taxid,
+        string_type: 'imported',
+        compact_name: name,
+        official_name: name,
+        domain: '',
+        imported: true,
+        gene_pattern: pattern,
+    };
+    const stored = await window.DataCache.putBundle(taxid, {
+        taxid,
+        version: 'imported',
+        imported: true,
+        species,
+        downloadDate: '',
+        toolVersion: '',
+        size: report.bytes,
+        report,
+    }, data);
+    if (!stored) {
+        return showImportError('Could not save the species in browser storage (storage unavailable or full).');
+    }
+
+    forgetSpeciesData(taxid);
+    state.cache[taxid] = data;
+    state.loadReports[taxid] = report;
+    state.speciesList = [...state.speciesList.filter(s => s.taxid !== taxid), species];
+    renderSpeciesSelectors();
+    els.sourceSelect.value = taxid;
+    updateAutoDetectHint();
+    _pendingImport = null;
+    $('#import-modal').hidden = true;
+}
+
 // ===== Theme =====
 function initTheme() {
     const saved = localStorage.getItem('pr-theme');
@@ -1156,26 +3547,53 @@ function initTheme() {
         const next = current === 'dark' ? 'light' : 'dark';
         document.documentElement.setAttribute('data-theme', next);
         localStorage.setItem('pr-theme', next);
-        if (state.goEnrichmentResults && state.goEnrichmentResults.results.length > 0) {
-            const activeGoPlot = document.querySelector('#tab-go-enrichment .plot-toggle.active');
-            updateEnrichmentPlotAndTable('go', activeGoPlot?.dataset.plot || 'bar');
-        }
-        if (state.keggEnrichmentResults && state.keggEnrichmentResults.results.length > 0) {
-            const activeKeggPlot = document.querySelector('#tab-kegg-enrichment .plot-toggle.active');
-            updateEnrichmentPlotAndTable('kegg', activeKeggPlot?.dataset.plot || 'bar');
+        for (const type of ['go', 'kegg', 'other']) {
+            const result = enrichmentResult(type);
+            if (!result || result.results.length === 0) continue;
+            const activePlot = document.querySelector(`#tab-${type}-enrichment .plot-toggle.active`);
+            updateEnrichmentPlotAndTable(type, activePlot?.dataset.plot || 'bar');
         }
         const btn = $('#net-svg-btn');
         if (btn && !els.resultsContent.hidden) {
-            buildPPINetwork(state.genes.map(g => ({ query: g, proteinId: resolveGene(g, state.sourceSpecies) })), state.sourceSpecies);
+            buildPPINetwork(state.resolvedGenes, state.sourceSpecies)
+                .catch(err => console.error('Network rebuild failed:', err));
         }
         if (state.phylogenyData && !els.resultsContent.hidden) {
-            const resolvedGenes = state.genes.map(g => ({ query: g, proteinId: resolveGene(g, state.sourceSpecies) }));
-            window.Phylogeny.buildPhylogenyTab(resolvedGenes, state.sourceSpecies, state.targetSpecies, state.phylogenyData);
+            window.Phylogeny.buildPhylogenyTab(state.resolvedGenes, state.sourceSpecies, state.targetSpecies, state.phylogenyData);
             addGeneNavigation('#tab-phylogeny');
         }
     });
 }
 
+/** Fill the source selector and target checkboxes, keeping the current selection. */
+function renderSpeciesSelectors() {
+    const source = els.sourceSelect.value;
+    const checked = new Set([...$$('#target-species-list input:checked')].map(cb => cb.value));
+
+    els.sourceSelect.innerHTML = '<option value="">— Select a species —</option>';
+    for (const sp of state.speciesList) {
+        const opt = document.createElement('option');
+        opt.value = sp.taxid;
+        opt.textContent = sp.imported ? `${sp.compact_name} (${sp.taxid}, imported)` : `${sp.compact_name} (${sp.taxid})`;
+        els.sourceSelect.appendChild(opt);
+    }
+    if (state.speciesList.some(s => s.taxid === source)) els.sourceSelect.value = source;
+
+    const idmapSelect = $('#idmap-species');
+    const idmapSpecies = idmapSelect.value;
+    idmapSelect.innerHTML = els.sourceSelect.innerHTML;
+    idmapSelect.value = state.speciesList.some(s => s.taxid === idmapSpecies) ? idmapSpecies : '';
+
+    let checkboxHtml = '';
+    for (const sp of state.speciesList) {
+        checkboxHtml += `<label class="checkbox-item">
+      <input type="checkbox" value="${esc(sp.taxid)}" ${checked.has(sp.taxid) ? 'checked' : ''}>
+      ${esc(sp.compact_name)}
+    </label>`;
+    }
+    els.targetList.innerHTML = checkboxHtml;
+}
+
 // ===== Initialization =====
 async function init() {
     initTheme();
@@ -1192,30 +3610,18 @@ async function init() {
 
     state.speciesList = speciesList;
     state.metadata = metadata;
+    await loadImportedSpecies();
 
-    els.sourceSelect.innerHTML = '<option value="">— Select a species —</option>';
-    for (const sp of speciesList) {
-        const opt = document.createElement('option');
-        opt.value = sp.taxid;
-        opt.textContent = `${sp.compact_name} (${sp.taxid})`;
-        els.sourceSelect.appendChild(opt);
-    }
-
-    const defaultSpecies = speciesList.find(s => s.taxid === '4896');
-    if (defaultSpecies) {
+    renderSpeciesSelectors();
+    if (speciesList.some(s => s.taxid === '4896')) {
         els.sourceSelect.value = '4896';
     }
 
-    let checkboxHtml = '';
-    for (const sp of speciesList) {
-        checkboxHtml += `<label class="checkbox-item">
-      <input type="checkbox" value="${sp.taxid}">
-      ${esc(sp.compact_name)}
-    </label>`;
-    }
-    els.targetList.innerHTML = checkboxHtml;
-
     renderDBVersions();
+    window.DataCache.requestPersistence();
+    registerServiceWorker();
+    refreshOfflineSpecies();
+    checkGOOntology();
 
     // ===== Event Listeners =====
 
@@ -1223,6 +3629,29 @@ async function init() {
         updateAutoDetectHint();
     });
 
+    $('#gene-file-input').addEventListener('change', (e) => {
+        loadGeneFile(e.target.files[0]).catch(err => alert(`Could not read file: ${err.message}`));
+        e.target.value = '';
+    });
+    els.geneInput.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        els.geneInput.classList.add('drag-over');
+    });
+    els.geneInput.addEventListener('dragleave', () => els.geneInput.classList.remove('drag-over'));
+    els.geneInput.addEventListener('drop', (e) => {
+        els.geneInput.classList.remove('drag-over');
+        if (e.dataTransfer.files.length === 0) return; // dropped text is inserted as usual
+        e.preventDefault();
+        loadGeneFile(e.dataTransfer.files[0]).catch(err => alert(`Could not read file: ${err.message}`));
+    });
+    $('#gene-file-panel').addEventListener('change', updateGeneFilePreview);
+    $('#gene-file-panel').addEventListener('input', updateGeneFilePreview);
+    $('#gene-file-apply').addEventListener('click', applyGeneFile);
+    $('#gene-file-cancel').addEventListener('click', () => {
+        $('#gene-file-panel').hidden = true;
+        _geneFile = null;
+    });
+
     els.scoreSlider.addEventListener('input', () => {
         els.scoreValue.value = els.scoreSlider.value;
     });
@@ -1244,8 +3673,36 @@ async function init() {
     });
 
     els.analyzeBtn.addEventListener('click', () => runAnalysis());
-
-    $$('.tab').forEach(t => t.addEventListener('click', () => switchTab(t.dataset.tab)));
+    $('#cancel-analysis-btn').addEventListener('click', cancelAnalysis);
+
+    $$('.tab').forEach(t => t.addEventListener('click', () => {
+        if (t.dataset.tab === 'id-mapping') openIdMapping();
+        else switchTab(t.dataset.tab);
+    }));
+    els.resultsContent.addEventListener('click', onSuggestionClick);
+    els.resultsContent.addEventListener('click', onResolutionClick);
+    els.mixedMode.addEventListener('change', updateAutoDetectHint);
+    $('#enrichment-method').addEventListener('change', (e) => {
+        $('#gsea-options').hidden = e.target.value !== 'gsea';
+        $('#ora-options').hidden = e.target.value === 'gsea';
+    });
+    $('#empirical-mode').addEventListener('change', (e) => {
+        $('#empirical-options').hidden = e.target.value === 'off';
+    });
+    $('#background-mode').addEventListener('change', (e) => {
+        $('#background-custom').hidden = e.target.value !== 'custom';
+    });
+    $('#background-input').addEventListener('input', updateBackgroundCount);
+    $('#background-file-input').addEventListener('change', (e) => {
+        loadBackgroundFile(e.target.files[0]).catch(err => alert(`Could not read file: ${err.message}`));
+        e.target.value = '';
+    });
+    $('#idmap-run').addEventListener('click', runIdMapping);
+    $('#idmap-csv-btn').addEventListener('click', exportIdMapping);
+    $('#open-idmap-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        openIdMapping();
+    });
 
     $('#select-all-targets').addEventListener('click', () => {
         $$('#target-species-list input').forEach(cb => cb.checked = true);
@@ -1255,10 +3712,29 @@ async function init() {
     });
 
     els.aboutBtn.addEventListener('click', () => els.dbModal.hidden = false);
+
+    const importModal = $('#import-modal');
+    $('#import-species-btn').addEventListener('click', openImportDialog);
+    importModal.querySelector('.modal-backdrop').addEventListener('click', () => importModal.hidden = true);
+    importModal.querySelector('.modal-close').addEventListener('click', () => importModal.hidden = true);
+    $('#import-folder').addEventListener('change', (e) => onImportPicked(e.target.files, false));
+    $('#import-zip').addEventListener('change', (e) => onImportPicked(e.target.files, true));
+    $('#import-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        importSpecies().catch(err => {
+            console.error('Import failed:', err);
+            showImportError(`Import failed: ${err.message}`);
+        });
+    });
+
     els.dbModal.querySelector('.modal-backdrop').addEventListener('click', () => els.dbModal.hidden = true);
     els.dbModal.querySelector('.modal-close').addEventListener('click', () => els.dbModal.hidden = true);
 
-    $$('.modal-tab').forEach(t => t.addEventListener('click', () => switchModalTab(t.dataset.target)));
+    $$('.modal-tab').forEach(t => t.addEventListener('click', () => {
+        switchModalTab(t.dataset.target);
+        if (t.dataset.target === 'cache-manager') renderCacheManager();
+        if (t.dataset.target === 'diagnostics-panel') renderDiagnostics();
+    }));
 
     const exportNet = (format) => {
         const svg = $(`#ppi-network-plot svg`);
@@ -1295,17 +3771,20 @@ function makeTableSortable(table) {
             } else {
                 th.classList.add(newDir);
                 const rows = Array.from(tbody.querySelectorAll('tr'));
-                const type = th.innerText.toLowerCase().match(/score|degree|value|fdr|fold|bg|genes/) ? 'number' : 'string';
+                const type = th.innerText.toLowerCase().match(/score|degree|value|fdr|^p \(|empirical|fold|ratio|bg|genes/) ? 'number' : 'string';
 
                 rows.sort((a, b) => {
                     const aCell = a.children[index];
                     const bCell = b.children[index];
-                    const aVal = aCell ? aCell.innerText.trim() : '';
-                    const bVal = bCell ? bCell.innerText.trim() : '';
+                    // data-sort holds the raw value where the cell text is formatted (e.g. odds ratios)
+                    const aVal = aCell ? (aCell.dataset.sort ?? aCell.innerText.trim()) : '';
+                    const bVal = bCell ? (bCell.dataset.sort ?? bCell.innerText.trim()) : '';
 
                     if (type === 'number') {
-                        const aNum = parseFloat(aVal.replace(/[^0-9.\-eE]/g, '')) || 0;
-                        const bNum = parseFloat(bVal.replace(/[^0-9.\-eE]/g, '')) || 0;
+                        const toNum = (v) => (/^-?Infinity$/.test(v) ? Number(v) : parseFloat(v.replace(/[^0-9.\-eE]/g, '')) || 0);
+                        const aNum = toNum(aVal);
+                        const bNum = toNum(bVal);
+                        if (aNum === bNum) return 0;
                         return newDir === 'asc' ? aNum - bNum : bNum - aNum;
                     } else {
                         return newDir === 'asc' ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal);
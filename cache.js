@@ -0,0 +1,162 @@
+/**
+ * pomRelate — Persistent Species Data Cache
+ * IndexedDB-backed store for downloaded species bundles, so reopening the tool
+ * does not re-download the same chunked JSON files.
+ * Falls back to a no-op cache when IndexedDB is unavailable (e.g. private mode).
+ */
+
+const DB_NAME = 'pomrelate';
+const DB_VERSION = 1;
+const BUNDLE_STORE = 'bundles';   // key -> { key, data }
+const ENTRY_STORE = 'entries';    // key -> { key, taxid, version, downloadDate, toolVersion, size, savedAt }
+
+let _dbPromise = null;
+
+function openDB() {
+    if (_dbPromise) return _dbPromise;
+    _dbPromise = new Promise((resolve) => {
+        if (!window.indexedDB) return resolve(null);
+        let req;
+        try {
+            req = indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (err) {
+            console.warn('IndexedDB unavailable:', err);
+            return resolve(null);
+        }
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(BUNDLE_STORE)) {
+                db.createObjectStore(BUNDLE_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+                const entries = db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+                entries.createIndex('taxid', 'taxid', { unique: false });
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            console.warn('IndexedDB open failed:', req.error);
+            resolve(null);
+        };
+        req.onblocked = () => resolve(null);
+    });
+    return _dbPromise;
+}
+
+/** Wrap an IDBRequest in a promise. */
+function _req(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/** Resolve when a transaction commits. */
+function _done(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Read a cached bundle.
+ * @returns {Promise<Object|null>} { entry, data } or null when missing
+ */
+async function getBundle(key) {
+    const db = await openDB();
+    if (!db) return null;
+    try {
+        const tx = db.transaction([ENTRY_STORE, BUNDLE_STORE], 'readonly');
+        const [entry, bundle] = await Promise.all([
+            _req(tx.objectStore(ENTRY_STORE).get(key)),
+            _req(tx.objectStore(BUNDLE_STORE).get(key)),
+        ]);
+        if (!entry || !bundle) return null;
+        return { entry, data: bundle.data };
+    } catch (err) {
+        console.warn(`Cache read failed for ${key}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Store a bundle and its metadata entry.
+ * @param {string} key - cache key (taxid for species bundles)
+ * @param {Object} entry - { taxid, version, downloadDate, toolVersion, size }
+ * @param {Object} data - the bundle itself
+ * @returns {Promise<boolean>} false when the write failed (e.g. quota exceeded)
+ */
+async function putBundle(key, entry, data) {
+    const db = await openDB();
+    if (!db) return false;
+    try {
+        const tx = db.transaction([ENTRY_STORE, BUNDLE_STORE], 'readwrite');
+        tx.objectStore(BUNDLE_STORE).put({ key, data });
+        tx.objectStore(ENTRY_STORE).put({ ...entry, key, savedAt: new Date().toISOString() });
+        return await _done(tx);
+    } catch (err) {
+        console.warn(`Cache write failed for ${key}:`, err);
+        return false;
+    }
+}
+
+/** List metadata for all cached bundles (without loading the bundles). */
+async function listEntries() {
+    const db = await openDB();
+    if (!db) return [];
+    try {
+        const tx = db.transaction(ENTRY_STORE, 'readonly');
+        return await _req(tx.objectStore(ENTRY_STORE).getAll());
+    } catch (err) {
+        console.warn('Cache listing failed:', err);
+        return [];
+    }
+}
+
+/** Delete every cached bundle belonging to a species. */
+async function removeSpecies(taxid) {
+    const db = await openDB();
+    if (!db) return false;
+    try {
+        const keys = await _req(db.transaction(ENTRY_STORE, 'readonly')
+            .objectStore(ENTRY_STORE).index('taxid').getAllKeys(taxid));
+        const tx = db.transaction([ENTRY_STORE, BUNDLE_STORE], 'readwrite');
+        for (const key of keys) {
+            tx.objectStore(ENTRY_STORE).delete(key);
+            tx.objectStore(BUNDLE_STORE).delete(key);
+        }
+        return await _done(tx);
+    } catch (err) {
+        console.warn(`Cache delete failed for ${taxid}:`, err);
+        return false;
+    }
+}
+
+async function clearAll() {
+    const db = await openDB();
+    if (!db) return false;
+    try {
+        const tx = db.transaction([ENTRY_STORE, BUNDLE_STORE], 'readwrite');
+        tx.objectStore(ENTRY_STORE).clear();
+        tx.objectStore(BUNDLE_STORE).clear();
+        return await _done(tx);
+    } catch (err) {
+        console.warn('Cache clear failed:', err);
+        return false;
+    }
+}
+
+async function isAvailable() {
+    return !!(await openDB());
+}
+
+/** Ask the browser not to evict cached data under storage pressure. */
+function requestPersistence() {
+    if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+    }
+}
+
+window.DataCache = { getBundle, putBundle, listEntries, removeSpecies, clearAll, isAvailable, requestPersistence };
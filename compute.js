@@ -0,0 +1,256 @@
+/**
+ * pomRelate — Background Computation
+ * Runs enrichment, network layout and Newick parsing in a dedicated Web Worker
+ * so the page stays responsive, with progress messages and cancellation.
+ *
+ * This file is loaded twice: as a page script (client, window.Compute) and as the
+ * worker script itself. Jobs are shared, so the client can fall back to running
+ * them on the main thread where workers are unavailable (e.g. pages opened via file://).
+ */
+
+// ===== Jobs (shared by worker and main-thread fallback) =====
+
+/**
+ * Each job receives its payload, the species data registered for payload.taxid,
+ * a progress callback taking a fraction in [0, 1], and data shared by all
+ * species ({ goOntology }).
+ */
+const JOBS = {
+    go(payload, species, progress, shared) {
+        return window.Enrichment.runGOEnrichment(payload.proteinIds, species.go, payload.categoryFilter, {
+            onProgress: progress,
+            background: payload.background,
+            ontology: payload.propagate ? shared.goOntology : null,
+            algorithm: payload.algorithm,
+            direction: payload.direction,
+            correction: payload.correction,
+            permutation: payload.permutation,
+            info: species.info,
+        });
+    },
+
+    kegg(payload, species, progress) {
+        return window.Enrichment.runKEGGEnrichment(payload.proteinIds, species.keggPathways, species.aliases, species.info, {
+            onProgress: progress,
+            background: payload.background,
+            direction: payload.direction,
+            correction: payload.correction,
+            permutation: payload.permutation,
+        });
+    },
+
+    other(payload, species, progress) {
+        return window.Enrichment.runTermEnrichment(payload.proteinIds, species.otherTerms, payload.category, {
+            onProgress: progress,
+            background: payload.background,
+            direction: payload.direction,
+            correction: payload.correction,
+            permutation: payload.permutation,
+            info: species.info,
+        });
+    },
+
+    'gsea-go'(payload, species, progress, shared) {
+        return window.Enrichment.runGOGSEA(payload.ranked, species.go, payload.categoryFilter,
+            Object.assign({}, payload.options, {
+                onProgress: progress,
+                ontology: payload.propagate ? shared.goOntology : null,
+            }));
+    },
+
+    'gsea-kegg'(payload, species, progress) {
+        return window.Enrichment.runKEGGGSEA(payload.ranked, species.keggPathways, species.aliases, species.info,
+            Object.assign({}, payload.options, { onProgress: progress }));
+    },
+
+    'gsea-other'(payload, species, progress) {
+        return window.Enrichment.runTermGSEA(payload.ranked, species.otherTerms, payload.category,
+            Object.assign({}, payload.options, { onProgress: progress }));
+    },
+
+    layout(payload, species, progress) {
+        return window.PPINetwork.layoutNetwork(payload.nodes, payload.edges, payload.width, payload.height, progress);
+    },
+
+    newick(payload, species, progress) {
+        const parsed = {};
+        const ids = Object.keys(payload.trees);
+        ids.forEach((ogId, i) => {
+            if (i % 10 === 0) progress(i / ids.length);
+            parsed[ogId] = window.Phylogeny.parseNewick(payload.trees[ogId]);
+        });
+        return parsed;
+    },
+};
+
+const IN_WORKER = typeof document === 'undefined';
+
+// ===== Worker Entry =====
+if (IN_WORKER) {
+    // Modules register themselves on `window`
+    self.window = self;
+    importScripts('enrichment.js', 'network.js', 'phylogeny.js');
+
+    const workerSpecies = {}; // taxid -> { go, keggPathways, aliases, info, otherTerms }
+    const workerShared = {};  // { goOntology }
+
+    self.onmessage = (e) => {
+        const { id, type, taxid, payload } = e.data;
+        if (type === 'species') {
+            workerSpecies[taxid] = payload;
+            return;
+        }
+        if (type === 'forget') {
+            delete workerSpecies[taxid];
+            return;
+        }
+        if (type === 'shared') {
+            Object.assign(workerShared, payload);
+            return;
+        }
+        try {
+            const progress = (fraction) => self.postMessage({ id, kind: 'progress', fraction });
+            const result = JOBS[type](payload, workerSpecies[taxid] || {}, progress, workerShared);
+            self.postMessage({ id, kind: 'result', result });
+        } catch (err) {
+            self.postMessage({ id, kind: 'error', message: err.message || String(err) });
+        }
+    };
+}
+
+// ===== Client =====
+let _worker = null;
+let _workerFailed = false;
+let _workerSpecies = new Set(); // taxids already sent to the current worker
+let _workerHasShared = false;   // shared data sent to the current worker
+let _nextJobId = 1;
+const _pending = new Map();     // id -> { type, taxid, payload, resolve, reject, onProgress }
+const _localSpecies = {};       // taxid -> data, for the main-thread fallback
+const _localShared = {};        // { goOntology }
+
+function cancelledError() {
+    const err = new Error('Analysis cancelled');
+    err.cancelled = true;
+    return err;
+}
+
+function getComputeWorker() {
+    if (_worker || _workerFailed) return _worker;
+    try {
+        _worker = new Worker('compute.js');
+    } catch (err) {
+        console.warn('Web Worker unavailable, computing on the main thread:', err);
+        _workerFailed = true;
+        return null;
+    }
+    _worker.onmessage = (e) => {
+        const { id, kind } = e.data;
+        const job = _pending.get(id);
+        if (!job) return;
+        if (kind === 'progress') {
+            if (job.onProgress) job.onProgress(e.data.fraction);
+            return;
+        }
+        _pending.delete(id);
+        if (kind === 'result') job.resolve(e.data.result);
+        else job.reject(new Error(e.data.message));
+    };
+    _worker.onerror = (e) => {
+        // Script failed to load or crashed: finish outstanding jobs on the main thread
+        console.warn('Analysis worker failed, computing on the main thread:', e.message || e);
+        e.preventDefault();
+        _workerFailed = true;
+        _worker.terminate();
+        _worker = null;
+        const jobs = [..._pending.values()];
+        _pending.clear();
+        for (const job of jobs) {
+            runJobLocally(job.type, job.taxid, job.payload, job.onProgress).then(job.resolve, job.reject);
+        }
+    };
+    _workerSpecies = new Set();
+    _workerHasShared = false;
+    return _worker;
+}
+
+const SHARED_SPECIES_KEYS = ['go', 'keggPathways', 'aliases', 'info', 'otherTerms'];
+
+/**
+ * Register a species' data for jobs that need it (go, kegg, other and their GSEA variants).
+ * Data is copied to the worker once per worker instance, and again when it is replaced.
+ */
+function shareSpeciesData(taxid, data) {
+    const shared = _localSpecies[taxid];
+    if (shared && SHARED_SPECIES_KEYS.every(key => shared[key] === data[key])) return;
+    _localSpecies[taxid] = {};
+    for (const key of SHARED_SPECIES_KEYS) _localSpecies[taxid][key] = data[key];
+    _workerSpecies.delete(taxid);
+}
+
+/** Drop a species' data (removed or about to be replaced), here and in the worker. */
+function forgetSpeciesData(taxid) {
+    delete _localSpecies[taxid];
+    if (_worker && _workerSpecies.has(taxid)) _worker.postMessage({ type: 'forget', taxid });
+    _workerSpecies.delete(taxid);
+}
+
+/**
+ * Register data used by jobs of every species (the GO ontology).
+ * Copied to the worker once per worker instance.
+ */
+function shareData(data) {
+    Object.assign(_localShared, data);
+    _workerHasShared = false;
+}
+
+async function runJobLocally(type, taxid, payload, onProgress) {
+    // Let the loading overlay paint before blocking the main thread
+    await new Promise(r => setTimeout(r, 50));
+    return JOBS[type](payload, _localSpecies[taxid] || {}, onProgress || (() => {}), _localShared);
+}
+
+/**
+ * Run a job.
+ * @param {string} type - 'go' | 'kegg' | 'other' | 'gsea-go' | 'gsea-kegg' | 'gsea-other' | 'layout' | 'newick'
+ * @param {Object} payload - job input; include taxid for species-dependent jobs
+ * @param {Function} [onProgress] - called with a fraction in [0, 1]
+ * @returns {Promise<*>} rejects with err.cancelled === true after cancelJobs()
+ */
+function runJob(type, payload, onProgress) {
+    const taxid = payload.taxid;
+    const worker = getComputeWorker();
+    if (!worker) return runJobLocally(type, taxid, payload, onProgress);
+
+    if (taxid && _localSpecies[taxid] && !_workerSpecies.has(taxid)) {
+        worker.postMessage({ type: 'species', taxid, payload: _localSpecies[taxid] });
+        _workerSpecies.add(taxid);
+    }
+    if (!_workerHasShared && Object.keys(_localShared).length > 0) {
+        worker.postMessage({ type: 'shared', payload: _localShared });
+        _workerHasShared = true;
+    }
+
+    const id = _nextJobId++;
+    return new Promise((resolve, reject) => {
+        _pending.set(id, { type, taxid, payload, resolve, reject, onProgress });
+        worker.postMessage({ id, type, taxid, payload });
+    });
+}
+
+/**
+ * Abort all running jobs. The worker is terminated mid-computation and a
+ * fresh one is started on the next runJob().
+ */
+function cancelJobs() {
+    if (_worker) {
+        _worker.terminate();
+        _worker = null;
+    }
+    const jobs = [..._pending.values()];
+    _pending.clear();
+    for (const job of jobs) job.reject(cancelledError());
+}
+
+if (!IN_WORKER) {
+    window.Compute = { run: runJob, cancel: cancelJobs, shareSpeciesData, forgetSpeciesData, shareData, cancelledError };
+}
@@ -1,6 +1,7 @@
 /**
  * pomRelate — Enrichment Analysis Engine
- * Client-side hypergeometric test for GO and KEGG over-representation analysis.
+ * Client-side hypergeometric test for GO and KEGG over-representation analysis,
+ * and preranked GSEA on gene-score lists.
  * No external dependencies.
  */
 
@@ -22,138 +23,795 @@ function lfact(n) {
     return _lfCache[n];
 }
 
+/** log P(X = i) for X ~ Hypergeometric(N, K, n). */
+function hypergeomLogPmf(i, n, K, N) {
+    return lfact(K) - lfact(i) - lfact(K - i)
+        + lfact(N - K) - lfact(n - i) - lfact(N - K - n + i)
+        - lfact(N) + lfact(n) + lfact(N - n);
+}
+
+/**
+ * log10 of the probability of overlaps lo..hi (those whose log pmf passes keep),
+ * summed in log space: a streaming log-sum-exp rescales the running sum whenever
+ * a larger term appears, so no term underflows.
+ */
+function hypergeomLog10Tail(lo, hi, n, K, N, keep) {
+    let max = -Infinity;
+    let sum = 0;
+    for (let i = lo; i <= hi; i++) {
+        const lp = hypergeomLogPmf(i, n, K, N);
+        if (keep && !keep(lp)) continue;
+        if (lp > max) {
+            sum = sum * Math.exp(max - lp) + 1;
+            max = lp;
+        } else {
+            sum += Math.exp(lp - max);
+        }
+    }
+    if (max === -Infinity) return -Infinity;
+    return Math.min((max + Math.log(sum)) / Math.LN10, 0);
+}
+
 /**
- * Hypergeometric p-value (upper tail):
- * P(X >= k) where X ~ Hypergeometric(N, K, n)
+ * Hypergeometric p-value (upper tail) as log10:
+ * log10 P(X >= k) where X ~ Hypergeometric(N, K, n)
  *
  * N = total background genes
  * K = genes in background annotated with this term
  * n = size of user gene list (that have annotations)
  * k = genes in user list annotated with this term
+ *
+ * Kept in log space so very strong enrichments (p < 1e-308) do not underflow to 0.
  */
-function hypergeomPValue(k, n, K, N) {
-    if (k <= 0 || n <= 0 || K <= 0 || N <= 0) return 1;
-    if (n > N || K > N) return 1;
-    if (k > Math.min(n, K)) return 0;
+function hypergeomLog10PValue(k, n, K, N) {
+    if (k <= 0 || n <= 0 || K <= 0 || N <= 0) return 0;
+    if (n > N || K > N) return 0;
+    if (k > Math.min(n, K)) return -Infinity;
+    return hypergeomLog10Tail(Math.max(k, n - (N - K), 0), Math.min(n, K), n, K, N);
+}
+
+/**
+ * Hypergeometric p-value (lower tail) as log10, the depletion test:
+ * log10 P(X <= k) where X ~ Hypergeometric(N, K, n)
+ */
+function hypergeomLowerLog10PValue(k, n, K, N) {
+    if (n <= 0 || K <= 0 || N <= 0) return 0;
+    if (n > N || K > N) return 0;
+    return hypergeomLog10Tail(Math.max(0, n - (N - K)), Math.min(k, n, K), n, K, N);
+}
 
-    let pval = 0;
-    const minI = Math.max(k, n - (N - K), 0);
+/**
+ * Two-sided hypergeometric p-value as log10, as in Fisher's exact test (R fisher.test):
+ * the total probability of all outcomes no more likely than the observed one.
+ */
+function hypergeomTwoSidedLog10PValue(k, n, K, N) {
+    if (n <= 0 || K <= 0 || N <= 0) return 0;
+    if (n > N || K > N) return 0;
+
+    const minI = Math.max(0, n - (N - K));
     const maxI = Math.min(n, K);
-    for (let i = minI; i <= maxI; i++) {
-        const lp = lfact(K) - lfact(i) - lfact(K - i)
-            + lfact(N - K) - lfact(n - i) - lfact(N - K - n + i)
-            - lfact(N) + lfact(n) + lfact(N - n);
-        pval += Math.exp(lp);
-    }
-    return Math.min(pval, 1);
+    if (k < minI || k > maxI) return -Infinity;
+    // Relative tolerance so outcomes tied with the observed one are not lost to rounding
+    const observed = hypergeomLogPmf(k, n, K, N) + Math.log1p(1e-7);
+    return hypergeomLog10Tail(minI, maxI, n, K, N, lp => lp <= observed);
 }
 
 /**
- * Benjamini-Hochberg FDR correction.
- * Takes array of {pValue, ...} objects, adds .fdr field in-place.
- * @param {Object[]} results - array of objects with pValue field
- * @param {number} totalTests - total number of hypotheses tested (including terms with k=0)
- * Returns the same array sorted by pValue ascending.
+ * Hypergeometric log10 p-value in a test direction.
+ * @param {string} [direction] - 'over' (enrichment, default), 'under' (depletion) or 'two-sided'
  */
-function bhFDR(results, totalTests) {
-    results.sort((a, b) => a.pValue - b.pValue);
-    const m = totalTests || results.length;
-    for (let i = results.length - 1; i >= 0; i--) {
-        const rank = i + 1;
-        const raw = (results[i].pValue * m) / rank;
-        if (i < results.length - 1) {
-            results[i].fdr = Math.min(raw, results[i + 1].fdr);
-        } else {
-            results[i].fdr = Math.min(raw, 1);
+function hypergeomTestLog10PValue(k, n, K, N, direction) {
+    if (direction === 'under') return hypergeomLowerLog10PValue(k, n, K, N);
+    if (direction === 'two-sided') return hypergeomTwoSidedLog10PValue(k, n, K, N);
+    return hypergeomLog10PValue(k, n, K, N);
+}
+
+/**
+ * Conditional maximum-likelihood odds ratio of a 2x2 table with its exact
+ * confidence interval, as reported by R's fisher.test: the overlap X follows
+ * Fisher's noncentral hypergeometric distribution given the margins.
+ * The estimate is 0 or Infinity when k is at the edge of its support.
+ * @returns {Object} { oddsRatio, lower, upper }
+ */
+function conditionalOddsRatio(k, n, K, N, level = 0.95) {
+    const lo = Math.max(0, n - (N - K));
+    const hi = Math.min(n, K);
+    if (n <= 0 || K <= 0 || N <= 0 || lo === hi) return { oddsRatio: NaN, lower: 0, upper: Infinity };
+
+    const logBase = [];
+    for (let i = lo; i <= hi; i++) logBase.push(hypergeomLogPmf(i, n, K, N));
+    // Expectation of f(X) under the noncentral density at log odds ratio t,
+    // normalized in log space to stay finite for extreme t
+    const expect = (t, f) => {
+        let max = -Infinity;
+        for (let j = 0; j < logBase.length; j++) max = Math.max(max, logBase[j] + t * (lo + j));
+        let total = 0, sum = 0;
+        for (let j = 0; j < logBase.length; j++) {
+            const d = Math.exp(logBase[j] + t * (lo + j) - max);
+            total += d;
+            sum += d * f(lo + j);
         }
+        return sum / total;
+    };
+    const mean = (t) => expect(t, x => x);
+    const upperTail = (t) => expect(t, x => (x >= k ? 1 : 0));
+    const lowerTail = (t) => expect(t, x => (x <= k ? 1 : 0));
+    // Bisection on the log odds ratio; f must increase with t
+    const solve = (f, target) => {
+        let a = -40, b = 40;
+        for (let iter = 0; iter < 45; iter++) {
+            const mid = (a + b) / 2;
+            if (f(mid) < target) a = mid;
+            else b = mid;
+        }
+        return Math.exp((a + b) / 2);
+    };
+
+    const alpha = (1 - level) / 2;
+    return {
+        oddsRatio: k <= lo ? 0 : k >= hi ? Infinity : solve(mean, k),
+        lower: k <= lo ? 0 : solve(upperTail, alpha),
+        upper: k >= hi ? Infinity : solve(t => -lowerTail(t), -alpha),
+    };
+}
+
+/** Observed direction of a result row: fewer query genes than expected is 'depleted'. */
+function resultDirection(k, expectedK) {
+    return k < expectedK ? 'depleted' : 'enriched';
+}
+
+/** Normalize a test-direction option; anything unknown is the usual over-representation test. */
+function testDirection(direction) {
+    return direction === 'under' || direction === 'two-sided' ? direction : 'over';
+}
+
+/**
+ * Multiple-testing corrections: name for stats lines and notes, label for
+ * table/CSV columns and plot axes.
+ */
+const CORRECTIONS = {
+    bh: { name: 'Benjamini-Hochberg FDR', label: 'FDR' },
+    by: { name: 'Benjamini-Yekutieli FDR (arbitrary dependence)', label: 'FDR (BY)' },
+    bonferroni: { name: 'Bonferroni', label: 'P (Bonferroni)' },
+    holm: { name: 'Holm', label: 'P (Holm)' },
+    qvalue: { name: 'Storey q-value', label: 'q-value' },
+};
+
+/** log10 p-value of a row: its log10P when the test computed one, else from pValue. */
+function rowLog10P(r) {
+    return r.log10P !== undefined ? r.log10P : Math.log10(r.pValue);
+}
+
+/**
+ * Adjust p-values for multiple testing. Sorts the results by p-value and writes
+ * the adjusted value to .fdr and its log10 to .log10Fdr, computed from log10P in
+ * log space so p-values beyond double precision keep their order and magnitude.
+ * Terms counted in totalTests but absent from the results (k = 0 in an
+ * enrichment test) are taken as p = 1.
+ * Storey q-values estimate the share of true nulls pi0 at lambda = 0.5 (Storey, 2002),
+ * counting one extra null so pi0 stays above 0 when every p-value is below lambda.
+ * @param {string} [method] - a CORRECTIONS key, default 'bh'
+ * @returns {Object} { method, pi0 } - pi0 only for q-values
+ */
+function adjustPValues(results, totalTests, method) {
+    method = CORRECTIONS[method] ? method : 'bh';
+    const m = Math.max(totalTests || 0, results.length);
+    for (const r of results) r.log10P = rowLog10P(r);
+    results.sort((a, b) => a.log10P - b.log10P);
+    const logM = Math.log10(m);
+    const set = (r, log10Fdr) => {
+        r.log10Fdr = Math.min(log10Fdr, 0);
+        r.fdr = 10 ** r.log10Fdr;
+    };
+
+    if (method === 'bonferroni') {
+        for (const r of results) set(r, r.log10P + logM);
+        return { method };
     }
-    return results;
+    if (method === 'holm') {
+        // Step-down: the i-th smallest p-value is multiplied by (m - i + 1), kept monotone
+        let running = -Infinity;
+        results.forEach((r, i) => {
+            running = Math.max(running, Math.min(Math.log10(m - i) + r.log10P, 0));
+            set(r, running);
+        });
+        return { method };
+    }
+
+    // Step-up p * m / rank (BH), scaled by the harmonic sum c(m) for BY and by pi0 for q-values
+    let scale = 1;
+    let pi0 = null;
+    if (method === 'by') {
+        scale = 0;
+        for (let i = 1; i <= m; i++) scale += 1 / i;
+    } else if (method === 'qvalue') {
+        const lambda = 0.5;
+        const above = results.filter(r => r.log10P > Math.log10(lambda)).length + (m - results.length);
+        pi0 = m > 0 ? Math.min(1, (above + 1) / (m * (1 - lambda))) : 1;
+        scale = pi0;
+    }
+    const logScale = Math.log10(scale);
+    for (let i = results.length - 1; i >= 0; i--) {
+        const raw = results[i].log10P + logM + logScale - Math.log10(i + 1);
+        set(results[i], i < results.length - 1 ? Math.min(raw, results[i + 1].log10Fdr) : raw);
+    }
+    return pi0 === null ? { method } : { method, pi0 };
 }
 
-// ===== GO Enrichment =====
+/**
+ * Restrict annotation sets to a custom universe, dropping sets left empty.
+ * @param {Object} sets - id -> { ..., [key]: Set }
+ * @param {string} key - name of the member Set on each entry
+ * @param {Set<string>} universe
+ */
+function restrictSets(sets, key, universe) {
+    for (const [id, info] of Object.entries(sets)) {
+        const kept = new Set([...info[key]].filter(m => universe.has(m)));
+        if (kept.size === 0) delete sets[id];
+        else info[key] = kept;
+    }
+    return sets;
+}
+
+// ===== GO Ontology =====
+
+const GO_NAMESPACE_CATEGORIES = {
+    BP: 'Biological Process (Gene Ontology)',
+    MF: 'Molecular Function (Gene Ontology)',
+    CC: 'Cellular Component (Gene Ontology)',
+};
+
+/** Primary ID of a GO term in the ontology (follows alt_ids), or null when unknown. */
+function canonicalGOTerm(term, ontology) {
+    if (ontology.terms[term]) return term;
+    return (ontology.alt_ids && ontology.alt_ids[term]) || null;
+}
 
 /**
- * Run GO enrichment analysis.
- * @param {string[]} queryProteinIds - resolved protein IDs from user input
- * @param {Object} goData - protein->terms map from species GO data
- * @param {string} [categoryFilter] - optional: "Biological Process", "Molecular Function", "Cellular Component"
- * @returns {Object} { results: [...], stats: { mapped, total, termsTotal } }
+ * All ancestors of a term over is_a/part_of, excluding the term itself.
+ * @param {Map} memo - term -> ancestor array, shared across calls of one run
  */
-function runGOEnrichment(queryProteinIds, goData, categoryFilter) {
-    if (!goData || queryProteinIds.length === 0) {
-        return { results: [], stats: { mapped: 0, total: 0, termsTotal: 0 } };
+function goAncestors(term, ontology, memo) {
+    if (memo.has(term)) return memo.get(term);
+    const result = new Set();
+    for (const parent of (ontology.terms[term] && ontology.terms[term].parents) || []) {
+        result.add(parent);
+        for (const a of goAncestors(parent, ontology, memo)) result.add(a);
     }
+    const arr = [...result];
+    memo.set(term, arr);
+    return arr;
+}
 
-    // Background: all proteins with GO annotations
-    const bgProteins = Object.keys(goData);
-    const N = bgProteins.length;
+/**
+ * Order terms so that every term comes after all of its descendants:
+ * descending longest distance from a root.
+ */
+function childrenFirstOrder(terms, ontology) {
+    const depth = new Map();
+    const depthOf = (t) => {
+        if (depth.has(t)) return depth.get(t);
+        const parents = (ontology.terms[t] && ontology.terms[t].parents) || [];
+        const d = parents.length ? 1 + Math.max(...parents.map(depthOf)) : 0;
+        depth.set(t, d);
+        return d;
+    };
+    return [...terms].sort((a, b) => depthOf(b) - depthOf(a));
+}
+
+// ===== GO Semantic Similarity =====
 
-    // Build term -> set of background proteins
-    const termBg = {}; // term -> { desc, category, proteins: Set }
+/**
+ * Information content of each GO term from the species' propagated annotations:
+ * IC(t) = -ln(genes annotated to t / genes annotated in t's namespace), where the
+ * namespace total is its largest term (the root).
+ * @param {Object} termBg - from buildGOTermSets with an ontology
+ * @returns {Object} term -> IC
+ */
+function goInformationContent(termBg, ontology) {
+    const totals = {};
+    for (const [term, info] of Object.entries(termBg)) {
+        const ns = ontology.terms[term] ? ontology.terms[term].namespace : null;
+        if (ns) totals[ns] = Math.max(totals[ns] || 0, info.proteins.size);
+    }
+    const ic = {};
+    for (const [term, info] of Object.entries(termBg)) {
+        const ns = ontology.terms[term] ? ontology.terms[term].namespace : null;
+        if (ns && info.proteins.size > 0) ic[term] = -Math.log(info.proteins.size / totals[ns]);
+    }
+    return ic;
+}
+
+/**
+ * Lin similarity: 2 IC(MICA) / (IC(a) + IC(b)), where the MICA is the common
+ * ancestor (or the term itself) with the highest information content.
+ * Terms of different namespaces have similarity 0.
+ */
+function linSimilarity(a, b, ontology, ic, memo) {
+    if (a === b) return 1;
+    const ta = ontology.terms[a], tb = ontology.terms[b];
+    if (!ta || !tb || ta.namespace !== tb.namespace) return 0;
+    const denom = (ic[a] || 0) + (ic[b] || 0);
+    if (denom === 0) return 0;
+    const ancestorsA = new Set([a, ...goAncestors(a, ontology, memo)]);
+    let mica = 0;
+    for (const t of [b, ...goAncestors(b, ontology, memo)]) {
+        if (ancestorsA.has(t) && (ic[t] || 0) > mica) mica = ic[t];
+    }
+    return (2 * mica) / denom;
+}
+
+/**
+ * Group significant GO terms into clusters of semantically similar terms, in the
+ * manner of REVIGO (Supek et al., 2011). Terms are visited by p-value, with very
+ * general terms (annotating more than 5% of the namespace) after the specific
+ * ones; a term joins the first representative it is at least `threshold` similar
+ * to (in the same direction, for depletion tests), or becomes a new representative.
+ * Sets `representative` (term ID) on every clustered row and `clusterSize` on representatives.
+ * @param {Object[]} results - enrichment rows
+ * @param {Object} [options] - { threshold = 0.7, sigCutoff = 0.05 }
+ * @returns {Object[]} [{ representative, members: [term] }]
+ */
+function clusterGOTerms(results, ontology, ic, options) {
+    const opts = Object.assign({ threshold: 0.7, sigCutoff: 0.05 }, options || {});
+    const memo = new Map();
+    const general = (t) => Math.exp(-(ic[t] || 0)) > 0.05;
+    for (const r of results) {
+        delete r.representative;
+        delete r.clusterSize;
+    }
+    const candidates = results
+        .filter(r => r.fdr < opts.sigCutoff && ontology.terms[r.term])
+        .sort((a, b) => general(a.term) - general(b.term) || rowLog10P(a) - rowLog10P(b));
+
+    const clusters = [];
+    for (const r of candidates) {
+        // Enriched and depleted terms never share a cluster
+        const home = clusters.find(c => c.row.direction === r.direction &&
+            linSimilarity(c.representative, r.term, ontology, ic, memo) >= opts.threshold);
+        if (home) home.members.push(r.term);
+        else clusters.push({ representative: r.term, members: [r.term], row: r });
+        r.representative = home ? home.representative : r.term;
+    }
+    for (const c of clusters) {
+        c.row.clusterSize = c.members.length;
+        delete c.row;
+    }
+    return clusters;
+}
+
+// ===== Permutation Tests =====
+
+/**
+ * Bin index of each universe member by a matching covariate, in binCount
+ * equal-sized bins of increasing value; tied values share a bin and members
+ * without a value get a bin of their own.
+ * @returns {Map} member -> bin index
+ */
+function covariateBins(universe, valueOf, binCount) {
+    const values = new Map();
+    for (const m of universe) {
+        const v = valueOf(m);
+        if (Number.isFinite(v)) values.set(m, v);
+    }
+    const known = [...values.keys()].sort((a, b) => values.get(a) - values.get(b));
+    const bins = new Map();
+    known.forEach((m, i) => {
+        const prev = known[i - 1];
+        bins.set(m, i > 0 && values.get(prev) === values.get(m)
+            ? bins.get(prev)
+            : Math.floor((i * binCount) / known.length));
+    });
+    for (const m of universe) if (!bins.has(m)) bins.set(m, binCount);
+    return bins;
+}
+
+/**
+ * Empirical p-values by permutation, for lists where genes are not exchangeable
+ * (PPI neighbourhoods, length-biased screens). Random sets of the query's size
+ * are drawn from the universe with a seeded RNG, and each term's overlap with
+ * them is compared with the observed overlap: p = (1 + #as extreme) / (1 + permutations),
+ * two-sided p doubles the smaller tail. With match 'annotations' or 'length',
+ * the universe is split into deciles of annotation count (tested sets a gene is
+ * in) or protein length, and every random set draws as many genes from each
+ * decile as the query has there.
+ * Sets row.empiricalP on every result row.
+ * @param {Object[]} results - rows with term and geneCount
+ * @param {Object} sets - term -> entry holding the member Set under key
+ * @param {string[]} universe - background members
+ * @param {string[]} query - query members, all in the universe
+ * @param {string} direction - 'over' | 'under' | 'two-sided'
+ * @param {Object} [options] - { permutations = 1000, seed = 42, match: 'none' | 'annotations' | 'length',
+ *   lengthOf(member) -> number (for 'length'), onProgress(fraction) }
+ * @returns {Object} { permutations, seed, match }
+ */
+function permutationPValues(results, sets, key, universe, query, direction, options) {
+    const opts = Object.assign({ permutations: 1000, seed: 42, match: 'none' }, options || {});
+    const match = opts.match === 'annotations' || (opts.match === 'length' && opts.lengthOf) ? opts.match : 'none';
+
+    // member -> indices of the result rows whose term contains it
+    const memberRows = new Map();
+    results.forEach((r, ri) => {
+        for (const m of sets[r.term][key]) {
+            if (!memberRows.has(m)) memberRows.set(m, []);
+            memberRows.get(m).push(ri);
+        }
+    });
+
+    let valueOf = null;
+    if (match === 'annotations') {
+        const counts = new Map();
+        for (const entry of Object.values(sets)) {
+            for (const m of entry[key]) counts.set(m, (counts.get(m) || 0) + 1);
+        }
+        valueOf = m => counts.get(m) || 0;
+    } else if (match === 'length') {
+        valueOf = opts.lengthOf;
+    }
+    const bins = valueOf ? covariateBins(universe, valueOf, 10) : null;
+    const pools = [];
+    for (const m of universe) {
+        const b = bins ? bins.get(m) : 0;
+        (pools[b] = pools[b] || []).push(m);
+    }
+    const draws = pools.map(() => 0);
+    for (const m of query) draws[bins ? bins.get(m) : 0]++;
+
+    const observed = Int32Array.from(results, r => r.geneCount);
+    const counts = new Int32Array(results.length);
+    const atLeast = new Int32Array(results.length);
+    const atMost = new Int32Array(results.length);
+    const random = seededRandom(opts.seed);
+    for (let p = 0; p < opts.permutations; p++) {
+        if (opts.onProgress && p % 50 === 0) opts.onProgress(p / opts.permutations);
+        counts.fill(0);
+        pools.forEach((pool, b) => {
+            // Partial Fisher-Yates: the first draws[b] entries become a uniform sample
+            for (let i = 0; i < draws[b]; i++) {
+                const j = i + Math.floor(random() * (pool.length - i));
+                const m = pool[j];
+                pool[j] = pool[i];
+                pool[i] = m;
+                for (const ri of memberRows.get(m) || []) counts[ri]++;
+            }
+        });
+        for (let ri = 0; ri < results.length; ri++) {
+            if (counts[ri] >= observed[ri]) atLeast[ri]++;
+            if (counts[ri] <= observed[ri]) atMost[ri]++;
+        }
+    }
+
+    const total = opts.permutations + 1;
+    results.forEach((r, ri) => {
+        const upper = (atLeast[ri] + 1) / total;
+        const lower = (atMost[ri] + 1) / total;
+        r.empiricalP = direction === 'under' ? lower
+            : direction === 'two-sided' ? Math.min(1, 2 * Math.min(upper, lower))
+            : upper;
+    });
+    return { permutations: opts.permutations, seed: opts.seed, match };
+}
+
+// ===== GO Enrichment =====
+
+/**
+ * Build term -> set of annotated proteins from species GO data.
+ * With an ontology, annotations are propagated to all ancestor terms
+ * (true path rule) and alternative IDs are merged into their primary term;
+ * terms missing from the ontology are kept as flat sets.
+ * @param {Object} [ontology] - { terms: { id: { name, namespace, parents } }, alt_ids }
+ * @returns {Object} term -> { desc, category, proteins: Set }
+ */
+function buildGOTermSets(goData, categoryFilter, ontology) {
+    const termBg = {};
+    const memo = new Map();
+    const add = (term, desc, category, pid) => {
+        if (categoryFilter && !category.includes(categoryFilter)) return;
+        if (!termBg[term]) termBg[term] = { desc, category, proteins: new Set() };
+        termBg[term].proteins.add(pid);
+    };
     for (const [pid, terms] of Object.entries(goData)) {
         if (!Array.isArray(terms)) continue;
         for (const t of terms) {
             if (!t || !t.term) continue;
-            const category = t.category || 'Unknown';
-            if (categoryFilter && !category.includes(categoryFilter)) continue;
-            if (!termBg[t.term]) {
-                termBg[t.term] = { desc: t.description || '', category, proteins: new Set() };
+            const id = ontology ? canonicalGOTerm(t.term, ontology) : null;
+            if (!id) {
+                add(t.term, t.description || '', t.category || 'Unknown', pid);
+                continue;
+            }
+            for (const term of [id, ...goAncestors(id, ontology, memo)]) {
+                const info = ontology.terms[term];
+                add(term, info.name, GO_NAMESPACE_CATEGORIES[info.namespace], pid);
             }
-            termBg[t.term].proteins.add(pid);
         }
     }
+    return termBg;
+}
+
+/**
+ * Decorrelated GO tests after topGO (Alexa et al., 2006). Terms are tested
+ * children first.
+ * - elim: once a term is significant (p < cutoff), its genes are removed from
+ *   all of its ancestors before they are tested.
+ * - weight: a parent and each child are compared once the parent is tested. The
+ *   less significant of the two has the child's genes down-weighted by the ratio
+ *   of their p-values, stronger / weaker as topGO's sigRatio (in the parent's case
+ *   also in all its ancestors), and is tested again. Tests use weighted counts,
+ *   rounded to whole genes for the hypergeometric test but never below one gene
+ *   while the term has (query) members.
+ * @returns {Map} term -> { pValue, log10P, k, K, genes }
+ */
+function decorrelatedGOTests(termBg, queryInBg, n, N, ontology, algorithm, cutoff, onProgress) {
+    const memo = new Map();
+    const query = new Set(queryInBg);
+    const tested = new Map();
+    const removed = new Map(); // elim: term -> genes removed by significant descendants
+    const weights = new Map(); // weight: term -> Map(gene -> weight < 1)
+    const order = childrenFirstOrder(Object.keys(termBg), ontology);
+    const ancestorsIn = (term) => ontology.terms[term]
+        ? goAncestors(term, ontology, memo).filter(a => termBg[a])
+        : [];
+    const childrenOf = new Map();
+    for (const term of order) {
+        for (const parent of (ontology.terms[term] && ontology.terms[term].parents) || []) {
+            if (!termBg[parent]) continue;
+            if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+            childrenOf.get(parent).push(term);
+        }
+    }
+
+    const weightedTest = (term) => {
+        const w = weights.get(term);
+        let kW = 0, KW = 0;
+        const genes = [];
+        for (const g of termBg[term].proteins) {
+            const wg = w && w.has(g) ? w.get(g) : 1;
+            KW += wg;
+            if (query.has(g)) { kW += wg; genes.push(g); }
+        }
+        const k = genes.length > 0 ? Math.max(1, Math.round(kW)) : 0;
+        const K = Math.max(Math.round(KW), k, 1);
+        const log10P = k > 0 ? hypergeomLog10PValue(k, n, K, N) : 0;
+        return { pValue: 10 ** log10P, log10P, k, K, genes };
+    };
+    const downWeight = (terms, genes, factor) => {
+        for (const t of terms) {
+            if (!weights.has(t)) weights.set(t, new Map());
+            const w = weights.get(t);
+            for (const g of genes) {
+                if (!termBg[t].proteins.has(g)) continue;
+                if (!w.has(g) || w.get(g) > factor) w.set(g, factor);
+            }
+        }
+    };
+
+    for (let i = 0; i < order.length; i++) {
+        const term = order[i];
+        if (onProgress && i % 500 === 0) onProgress(i / order.length);
+
+        if (algorithm === 'elim') {
+            const gone = removed.get(term);
+            const members = gone ? [...termBg[term].proteins].filter(g => !gone.has(g)) : [...termBg[term].proteins];
+            const genes = members.filter(g => query.has(g));
+            const k = genes.length, K = members.length;
+            const log10P = k > 0 ? hypergeomLog10PValue(k, n, K, N) : 0;
+            tested.set(term, { pValue: 10 ** log10P, log10P, k, K, genes });
+            if (k > 0 && log10P < Math.log10(cutoff)) {
+                for (const a of ancestorsIn(term)) {
+                    if (!removed.has(a)) removed.set(a, new Set());
+                    const set = removed.get(a);
+                    for (const g of members) set.add(g);
+                }
+            }
+            continue;
+        }
+
+        // weight
+        let res = weightedTest(term);
+        // Ratio of p-values, taken from the log values so underflowed p-values still compare;
+        // kept above 0 so down-weighted genes still count
+        const ratio = (weaker, stronger) => Math.max(Number.MIN_VALUE, Math.min(1, 10 ** (stronger.log10P - weaker.log10P)));
+        for (const child of childrenOf.get(term) || []) {
+            const c = tested.get(child);
+            if (!c || c.k === 0 || c.log10P === res.log10P) continue;
+            if (c.log10P < res.log10P) {
+                // The child explains the parent's signal
+                downWeight([term, ...ancestorsIn(term)], termBg[child].proteins, ratio(res, c));
+                res = weightedTest(term);
+            } else {
+                // The parent is the better description; the child keeps a reduced share
+                downWeight([child], termBg[child].proteins, ratio(c, res));
+                tested.set(child, weightedTest(child));
+            }
+        }
+        tested.set(term, res);
+    }
+    return tested;
+}
+
+/**
+ * Membership test for the GO background. With a category filter only proteins
+ * annotated in that ontology count, so BP, MF and CC runs each get their own universe.
+ * @returns {Function} pid -> boolean
+ */
+function goAnnotatedTest(goData, termBg, categoryFilter) {
+    if (!categoryFilter) return pid => !!goData[pid];
+    const annotated = new Set();
+    for (const info of Object.values(termBg)) {
+        for (const pid of info.proteins) annotated.add(pid);
+    }
+    return pid => annotated.has(pid);
+}
+
+/**
+ * Run GO enrichment analysis.
+ * @param {string[]} queryProteinIds - resolved protein IDs from user input
+ * @param {Object} goData - protein->terms map from species GO data
+ * @param {string} [categoryFilter] - optional: "Biological Process", "Molecular Function", "Cellular Component"
+ * @param {Object} [options] - { onProgress(fraction), background: [proteinId] custom universe,
+ *   ontology (enables propagation to ancestors), algorithm: 'classic' | 'elim' | 'weight' (needs ontology,
+ *   over-representation only), elimCutoff = 0.01, direction: 'over' | 'under' | 'two-sided',
+ *   correction: a CORRECTIONS key (default 'bh'), permutation: { permutations, seed, match } for
+ *   empirical p-values (classic test only; see permutationPValues), info: protein info for length matching }
+ * @returns {Object} { results: [...], stats: { mapped, total, termsTotal, bgSize, outsideBg }, algorithm, propagated, direction, correction, permutation }
+ */
+function runGOEnrichment(queryProteinIds, goData, categoryFilter, options) {
+    const opts = options || {};
+    if (!goData || queryProteinIds.length === 0) {
+        return { results: [], stats: { mapped: 0, total: 0, termsTotal: 0, bgSize: 0, outsideBg: 0 } };
+    }
+
+    const ontology = opts.ontology || null;
+    const direction = testDirection(opts.direction);
+    // elim and weight remove the signal of significant children, which only makes sense for enrichment
+    const algorithm = ontology && direction === 'over' && (opts.algorithm === 'elim' || opts.algorithm === 'weight') ? opts.algorithm : 'classic';
+    const termBg = buildGOTermSets(goData, categoryFilter, ontology);
+    const ic = ontology ? goInformationContent(termBg, ontology) : null;
+
+    // Background: all proteins with GO annotations (in the filtered ontology, when
+    // running one ontology at a time), or the annotated part of a custom universe
+    const isAnnotated = goAnnotatedTest(goData, termBg, categoryFilter);
+    const universe = opts.background ? new Set(opts.background.filter(isAnnotated)) : null;
+    const N = universe ? universe.size : Object.keys(goData).filter(isAnnotated).length;
+    if (universe) restrictSets(termBg, 'proteins', universe);
 
     // Query: filter to proteins present in GO background
-    const queryInBg = queryProteinIds.filter(pid => goData[pid]);
+    const annotated = queryProteinIds.filter(isAnnotated);
+    const queryInBg = universe ? annotated.filter(pid => universe.has(pid)) : annotated;
+    const outsideBg = annotated.length - queryInBg.length;
     const n = queryInBg.length;
     if (n === 0) {
-        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal: Object.keys(termBg).length } };
+        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal: Object.keys(termBg).length, bgSize: N, outsideBg } };
     }
 
+    const decorrelated = algorithm === 'classic' ? null
+        : decorrelatedGOTests(termBg, queryInBg, n, N, ontology, algorithm, opts.elimCutoff || 0.01, opts.onProgress);
+
     // Test each term
     const results = [];
-    for (const [term, info] of Object.entries(termBg)) {
-        const K = info.proteins.size;
-        // Count overlap
-        let k = 0;
-        const geneHits = [];
-        for (const pid of queryInBg) {
-            if (info.proteins.has(pid)) {
-                k++;
-                geneHits.push(pid);
+    const termEntries = Object.entries(termBg);
+    for (let ti = 0; ti < termEntries.length; ti++) {
+        const [term, info] = termEntries[ti];
+        if (opts.onProgress && !decorrelated && ti % 500 === 0) opts.onProgress(ti / termEntries.length);
+        let k, K, geneHits, log10P;
+        if (decorrelated) {
+            ({ k, K, genes: geneHits, log10P } = decorrelated.get(term));
+        } else {
+            K = info.proteins.size;
+            // Count overlap
+            k = 0;
+            geneHits = [];
+            for (const pid of queryInBg) {
+                if (info.proteins.has(pid)) {
+                    k++;
+                    geneHits.push(pid);
+                }
             }
+            log10P = hypergeomTestLog10PValue(k, n, K, N, direction);
         }
-        if (k === 0) continue;
+        // Terms without query genes can only be significant as depleted
+        if (geneHits.length === 0 && direction === 'over') continue;
 
-        const pValue = hypergeomPValue(k, n, K, N);
         const expectedK = (K / N) * n;
         const fold = expectedK > 0 ? k / expectedK : 0;
 
-        results.push({
+        const or = conditionalOddsRatio(k, n, K, N);
+        const row = {
             term,
             description: info.desc,
             category: info.category,
-            pValue,
+            pValue: 10 ** log10P,
+            log10P,
             fdr: 1,
             fold: Math.round(fold * 100) / 100,
+            oddsRatio: or.oddsRatio,
+            orLower: or.lower,
+            orUpper: or.upper,
+            geneRatio: k / n,
             geneCount: k,
             bgCount: K,
             totalGenes: n,
             totalBg: N,
             genes: geneHits,
-        });
+            direction: resultDirection(k, expectedK),
+        };
+        if (ontology && ontology.terms[term]) {
+            row.parents = ontology.terms[term].parents.map(p => ({ term: p, description: ontology.terms[p].name }));
+        }
+        results.push(row);
     }
 
-    bhFDR(results, Object.keys(termBg).length);
+    const correction = adjustPValues(results, Object.keys(termBg).length, opts.correction);
+
+    // elim and weight test reduced gene sets, which random sets cannot be compared with
+    let permutation = null;
+    if (opts.permutation && !decorrelated) {
+        const bg = universe ? [...universe] : Object.keys(goData).filter(isAnnotated);
+        const info = opts.info || {};
+        permutation = permutationPValues(results, termBg, 'proteins', bg, queryInBg, direction,
+            Object.assign({}, opts.permutation, {
+                lengthOf: pid => parseFloat(info[pid] && info[pid].size),
+                onProgress: opts.onProgress,
+            }));
+    }
 
     return {
         results,
-        stats: { mapped: n, total: queryProteinIds.length, termsTotal: Object.keys(termBg).length },
+        stats: { mapped: n, total: queryProteinIds.length, termsTotal: Object.keys(termBg).length, bgSize: N, outsideBg },
+        algorithm,
+        propagated: !!ontology,
+        ic,
+        direction,
+        correction,
+        permutation,
     };
 }
 
 // ===== KEGG Enrichment =====
 
+/**
+ * Build pathway -> set of background KEGG genes.
+ * @returns {Object} pathway -> { name, genes: Set }
+ */
+function buildKEGGPathwaySets(keggPathwayData) {
+    const pathwayNames = keggPathwayData.pathways || {};
+    const pathwayBg = {};
+    for (const [gene, pathways] of Object.entries(keggPathwayData.gene_pathways)) {
+        if (!Array.isArray(pathways)) continue;
+        for (const pw of pathways) {
+            if (!pathwayBg[pw]) {
+                const lookup = pw.replace(/^path:/, '');
+                pathwayBg[pw] = { name: pathwayNames[lookup] || pw, genes: new Set() };
+            }
+            pathwayBg[pw].genes.add(gene);
+        }
+    }
+    return pathwayBg;
+}
+
+/**
+ * Find the KEGG gene name of a protein: the protein ID itself, its preferred
+ * name, or the first alias (as is, upper- or lower-case) present in KEGG.
+ * @param {Set<string>} keggGeneSet - keys of kegg_pathways.gene_pathways
+ * @returns {string|null}
+ */
+function resolveKEGGGene(pid, keggGeneSet, aliasData, infoData) {
+    // Try direct protein ID
+    if (keggGeneSet.has(pid)) return pid;
+    // Try info preferred name
+    const name = infoData && infoData[pid] && infoData[pid].name;
+    if (name && keggGeneSet.has(name)) return name;
+    // Search through aliases for a match
+    for (const alias of (aliasData && aliasData[pid]) || []) {
+        if (keggGeneSet.has(alias)) return alias;
+        const upper = alias.toUpperCase();
+        if (keggGeneSet.has(upper)) return upper;
+        const lower = alias.toLowerCase();
+        if (keggGeneSet.has(lower)) return lower;
+    }
+    return null;
+}
+
 /**
  * Run KEGG pathway enrichment analysis.
  * Uses KEGG pathway data (from REST API).
@@ -162,92 +820,55 @@ function runGOEnrichment(queryProteinIds, goData, categoryFilter) {
  * @param {Object} keggPathwayData - { pathways: {id->name}, gene_pathways: {gene->[pathways]} }
  * @param {Object} aliasData - protein -> [alias strings] from species aliases
  * @param {Object} infoData - protein info for name resolution
- * @returns {Object} { results, stats }
+ * @param {Object} [options] - { onProgress(fraction), background: [proteinId] custom universe,
+ *   direction: 'over' | 'under' | 'two-sided', correction: a CORRECTIONS key (default 'bh'),
+ *   permutation: { permutations, seed, match } for empirical p-values (see permutationPValues) }
+ * @returns {Object} { results, stats, direction, correction, permutation }
  */
-function runKEGGEnrichment(queryProteinIds, keggPathwayData, aliasData, infoData) {
+function runKEGGEnrichment(queryProteinIds, keggPathwayData, aliasData, infoData, options) {
+    const opts = options || {};
+    const direction = testDirection(opts.direction);
     if (!keggPathwayData || !keggPathwayData.gene_pathways) {
-        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal: 0 } };
+        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal: 0, bgSize: 0, outsideBg: 0 } };
     }
 
-    const genePathways = keggPathwayData.gene_pathways;
-    const pathwayNames = keggPathwayData.pathways || {};
-
     // Build a set of all known KEGG gene names for fast lookup
-    const keggGeneSet = new Set(Object.keys(genePathways));
+    const keggGeneSet = new Set(Object.keys(keggPathwayData.gene_pathways));
 
-    // Background: all genes with at least one pathway
-    const N = keggGeneSet.size;
-
-    // Build pathway -> set of background genes
-    const pathwayBg = {};
-    for (const [gene, pathways] of Object.entries(genePathways)) {
-        if (!Array.isArray(pathways)) continue;
-        for (const pw of pathways) {
-            if (!pathwayBg[pw]) {
-                const lookup = pw.replace(/^path:/, '');
-                pathwayBg[pw] = { name: pathwayNames[lookup] || pw, genes: new Set() };
-            }
-            pathwayBg[pw].genes.add(gene);
+    // Background: all genes with at least one pathway, or the custom universe's KEGG genes
+    let universe = null;
+    if (opts.background) {
+        universe = new Set();
+        for (const pid of opts.background) {
+            const gene = resolveKEGGGene(pid, keggGeneSet, aliasData, infoData);
+            if (gene) universe.add(gene);
         }
     }
+    const N = universe ? universe.size : keggGeneSet.size;
+
+    const pathwayBg = buildKEGGPathwaySets(keggPathwayData);
+    if (universe) restrictSets(pathwayBg, 'genes', universe);
 
     // Resolve query protein IDs to KEGG gene names via aliases
     const queryGeneNames = new Set();
-    const pidToKegg = {}; // for reporting back
+    let outsideBg = 0;
     for (const pid of queryProteinIds) {
-        // Try direct protein ID
-        if (keggGeneSet.has(pid)) {
-            queryGeneNames.add(pid);
-            pidToKegg[pid] = pid;
-            continue;
-        }
-        // Try info preferred name
-        if (infoData && infoData[pid]) {
-            const name = infoData[pid].name;
-            if (name && keggGeneSet.has(name)) {
-                queryGeneNames.add(name);
-                pidToKegg[pid] = name;
-                continue;
-            }
-        }
-        // Search through aliases for a match
-        if (aliasData && aliasData[pid]) {
-            let found = false;
-            for (const alias of aliasData[pid]) {
-                if (keggGeneSet.has(alias)) {
-                    queryGeneNames.add(alias);
-                    pidToKegg[pid] = alias;
-                    found = true;
-                    break;
-                }
-                // Also try uppercase version
-                const upper = alias.toUpperCase();
-                if (keggGeneSet.has(upper)) {
-                    queryGeneNames.add(upper);
-                    pidToKegg[pid] = upper;
-                    found = true;
-                    break;
-                }
-                // Also try lowercase version
-                const lower = alias.toLowerCase();
-                if (keggGeneSet.has(lower)) {
-                    queryGeneNames.add(lower);
-                    pidToKegg[pid] = lower;
-                    found = true;
-                    break;
-                }
-            }
-            if (found) continue;
-        }
+        const gene = resolveKEGGGene(pid, keggGeneSet, aliasData, infoData);
+        if (!gene) continue;
+        if (universe && !universe.has(gene)) outsideBg++;
+        else queryGeneNames.add(gene);
     }
 
     const n = queryGeneNames.size;
     if (n === 0) {
-        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal: Object.keys(pathwayBg).length } };
+        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal: Object.keys(pathwayBg).length, bgSize: N, outsideBg } };
     }
 
     const results = [];
-    for (const [pw, info] of Object.entries(pathwayBg)) {
+    const pathwayEntries = Object.entries(pathwayBg);
+    for (let pi = 0; pi < pathwayEntries.length; pi++) {
+        const [pw, info] = pathwayEntries[pi];
+        if (opts.onProgress && pi % 50 === 0) opts.onProgress(pi / pathwayEntries.length);
         const K = info.genes.size;
         let k = 0;
         const geneHits = [];
@@ -257,34 +878,397 @@ function runKEGGEnrichment(queryProteinIds, keggPathwayData, aliasData, infoData
                 geneHits.push(gene);
             }
         }
-        if (k === 0) continue;
+        if (k === 0 && direction === 'over') continue;
 
-        const pValue = hypergeomPValue(k, n, K, N);
+        const log10P = hypergeomTestLog10PValue(k, n, K, N, direction);
         const expectedK = (K / N) * n;
         const fold = expectedK > 0 ? k / expectedK : 0;
+        const or = conditionalOddsRatio(k, n, K, N);
 
         results.push({
             term: pw,
             description: info.name,
             category: 'KEGG Pathway',
-            pValue,
+            pValue: 10 ** log10P,
+            log10P,
             fdr: 1,
             fold: Math.round(fold * 100) / 100,
+            oddsRatio: or.oddsRatio,
+            orLower: or.lower,
+            orUpper: or.upper,
+            geneRatio: k / n,
             geneCount: k,
             bgCount: K,
             totalGenes: n,
             totalBg: N,
             genes: geneHits,
+            direction: resultDirection(k, expectedK),
         });
     }
 
-    bhFDR(results, Object.keys(pathwayBg).length);
+    const correction = adjustPValues(results, Object.keys(pathwayBg).length, opts.correction);
+
+    let permutation = null;
+    if (opts.permutation) {
+        // Protein length of each KEGG gene, through the protein it resolves from
+        const lengths = new Map();
+        if (opts.permutation.match === 'length') {
+            for (const [pid, info] of Object.entries(infoData || {})) {
+                const gene = resolveKEGGGene(pid, keggGeneSet, aliasData, infoData);
+                if (gene && !lengths.has(gene)) lengths.set(gene, parseFloat(info.size));
+            }
+        }
+        permutation = permutationPValues(results, pathwayBg, 'genes', [...(universe || keggGeneSet)], [...queryGeneNames], direction,
+            Object.assign({}, opts.permutation, { lengthOf: gene => lengths.get(gene), onProgress: opts.onProgress }));
+    }
 
     return {
         results,
-        stats: { mapped: n, total: queryProteinIds.length, termsTotal: Object.keys(pathwayBg).length },
+        stats: { mapped: n, total: queryProteinIds.length, termsTotal: Object.keys(pathwayBg).length, bgSize: N, outsideBg },
+        direction,
+        correction,
+        permutation,
     };
 }
 
+// ===== Other Term Enrichment =====
+
+/**
+ * Run enrichment over one category of STRING's other annotation terms (Pfam,
+ * InterPro, SMART, Reactome, UniProt keywords, ...). Terms are tested as flat
+ * sets with the GO machinery; the universe is the genes annotated in the category.
+ * @param {string} category - STRING category name, e.g. "Protein Domains (Pfam)"
+ * @param {Object} [options] - { onProgress(fraction), background: [proteinId] custom universe, direction, correction,
+ *   permutation, info }
+ * @returns {Object} as runGOEnrichment
+ */
+function runTermEnrichment(queryProteinIds, termData, category, options) {
+    const opts = options || {};
+    return runGOEnrichment(queryProteinIds, termData || {}, category, {
+        onProgress: opts.onProgress,
+        background: opts.background,
+        direction: opts.direction,
+        correction: opts.correction,
+        permutation: opts.permutation,
+        info: opts.info,
+    });
+}
+
+// ===== Comparative Enrichment =====
+
+/**
+ * Combine the enrichment results of several gene lists for side-by-side
+ * comparison, as clusterProfiler's compareCluster does: every list contributes
+ * its topN most significant terms (adjusted p < cutoff), and each selected term
+ * keeps its row from every list, or null where the list had no row for it.
+ * Terms are grouped by the list they are most significant in, in list order,
+ * then sorted by p-value, so terms specific to a list sit together.
+ * @param {Object[]} runs - [{ name, result }] in display order
+ * @param {Object} [options] - { topN = 10, cutoff = 0.05 }
+ * @returns {Object} { lists: [name], terms: [{ term, description, category, rows: [row | null] }] }
+ */
+function compareEnrichments(runs, options) {
+    const opts = Object.assign({ topN: 10, cutoff: 0.05 }, options || {});
+    const byTerm = new Map();
+    runs.forEach((run, li) => {
+        const rows = (run.result && run.result.results) || [];
+        for (const r of rows) {
+            if (!byTerm.has(r.term)) {
+                byTerm.set(r.term, { term: r.term, description: r.description, category: r.category, rows: runs.map(() => null) });
+            }
+            byTerm.get(r.term).rows[li] = r;
+        }
+    });
+
+    const selected = new Set();
+    runs.forEach((run, li) => {
+        ((run.result && run.result.results) || [])
+            .filter(r => r.fdr < opts.cutoff)
+            .sort((a, b) => rowLog10P(a) - rowLog10P(b))
+            .slice(0, opts.topN)
+            .forEach(r => selected.add(r.term));
+    });
+
+    const best = (entry) => {
+        let list = -1, log10P = Infinity;
+        entry.rows.forEach((r, li) => {
+            if (r && r.fdr < opts.cutoff && rowLog10P(r) < log10P) {
+                list = li;
+                log10P = rowLog10P(r);
+            }
+        });
+        return { list, log10P };
+    };
+    const order = new Map([...selected].map(t => [t, best(byTerm.get(t))]));
+    const terms = [...selected]
+        .sort((a, b) => order.get(a).list - order.get(b).list || order.get(a).log10P - order.get(b).log10P)
+        .map(t => byTerm.get(t));
+    return { lists: runs.map(run => run.name), terms };
+}
+
+// ===== Preranked GSEA =====
+
+/** Seeded PRNG (mulberry32), so permutation results are reproducible. */
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Weighted Kolmogorov-Smirnov running-sum enrichment score (Subramanian et al., 2005).
+ * Only hit positions are visited: between hits the running sum falls linearly,
+ * so its extremes occur just before (minimum) or just after (maximum) a hit.
+ * @param {Float64Array} weights - |score|^p per rank position
+ * @param {Int32Array|number[]} hits - rank positions of set members, ascending
+ * @param {number} N - ranked list length
+ * @returns {Object} { es, peak } peak = index into hits where the extreme is reached
+ */
+function enrichmentScore(weights, hits, N) {
+    const k = hits.length;
+    let NR = 0;
+    for (let j = 0; j < k; j++) NR += weights[hits[j]];
+    const missStep = 1 / (N - k);
+    // All-zero weights (e.g. scores of 0) degrade to the unweighted statistic
+    const hitWeight = NR > 0 ? (j) => weights[hits[j]] / NR : () => 1 / k;
+
+    let hitSum = 0;
+    let maxDev = 0, maxPeak = -1;
+    let minDev = 0, minPeak = -1;
+    for (let j = 0; j < k; j++) {
+        const missed = (hits[j] - j) * missStep;
+        const before = hitSum - missed;
+        if (before < minDev) { minDev = before; minPeak = j - 1; }
+        hitSum += hitWeight(j);
+        const after = hitSum - missed;
+        if (after > maxDev) { maxDev = after; maxPeak = j; }
+    }
+    return maxDev >= -minDev ? { es: maxDev, peak: maxPeak } : { es: minDev, peak: minPeak };
+}
+
+/**
+ * Running enrichment score at every rank position, for plotting.
+ * @returns {Float64Array} length N
+ */
+function gseaRunningSum(scores, hits, weight) {
+    const N = scores.length;
+    const k = hits.length;
+    const hitSet = new Set(hits);
+    let NR = 0;
+    for (const h of hits) NR += Math.pow(Math.abs(scores[h]), weight);
+    const curve = new Float64Array(N);
+    let running = 0;
+    for (let i = 0; i < N; i++) {
+        if (hitSet.has(i)) running += NR > 0 ? Math.pow(Math.abs(scores[i]), weight) / NR : 1 / k;
+        else running -= 1 / (N - k);
+        curve[i] = running;
+    }
+    return curve;
+}
+
+/** Count of values >= x in an ascending array (binary search). */
+function countAtLeast(sorted, x) {
+    let lo = 0, hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] < x) lo = mid + 1; else hi = mid;
+    }
+    return sorted.length - lo;
+}
+
+/**
+ * Preranked GSEA with gene-set permutation.
+ * Gene sets of the same size share one null distribution of random sets drawn
+ * from the ranked list with a seeded RNG. NES divides ES by the mean null ES of
+ * the same sign; FDR is the GSEA q-value comparing the NES tail of all nulls
+ * with the observed NES tail.
+ * @param {Array} ranked - [{ id, score }] sorted by score, descending
+ * @param {Object} sets - term -> { description, category, members: Set }
+ * @param {Object} [options] - { permutations = 1000, seed = 42, minSize = 15, maxSize = 500, weight = 1, onProgress }
+ * @returns {Object} { method: 'gsea', results: [...], stats: { mapped, total, termsTotal } }
+ */
+function runGSEA(ranked, sets, options) {
+    const opts = Object.assign({ permutations: 1000, seed: 42, minSize: 15, maxSize: 500, weight: 1 }, options || {});
+    const N = ranked.length;
+    const position = new Map(ranked.map((r, i) => [r.id, i]));
+    const weights = Float64Array.from(ranked, r => Math.pow(Math.abs(r.score), opts.weight));
+
+    // Observed statistics
+    const tested = [];
+    for (const [term, set] of Object.entries(sets)) {
+        const hits = [];
+        for (const id of set.members) {
+            const pos = position.get(id);
+            if (pos !== undefined) hits.push(pos);
+        }
+        if (hits.length < opts.minSize || hits.length > opts.maxSize || hits.length >= N) continue;
+        hits.sort((a, b) => a - b);
+        const { es, peak } = enrichmentScore(weights, hits, N);
+        tested.push({ term, set, hits, es, peak });
+    }
+    if (tested.length === 0) {
+        return { method: 'gsea', results: [], stats: { mapped: N, total: N, termsTotal: 0 } };
+    }
+
+    // Null distributions per set size
+    const random = seededRandom(opts.seed);
+    const sizes = [...new Set(tested.map(t => t.hits.length))].sort((a, b) => a - b);
+    const setsPerSize = {};
+    for (const t of tested) setsPerSize[t.hits.length] = (setsPerSize[t.hits.length] || 0) + 1;
+    const nulls = {}; // size -> { pos: sorted ES >= 0, neg: sorted -ES for ES < 0, posMean, negMean }
+    const pool = Int32Array.from({ length: N }, (_, i) => i);
+    for (let si = 0; si < sizes.length; si++) {
+        const k = sizes[si];
+        if (opts.onProgress) opts.onProgress(si / sizes.length);
+        const pos = [], neg = [];
+        const sample = new Int32Array(k);
+        for (let p = 0; p < opts.permutations; p++) {
+            // Partial Fisher-Yates: the first k entries of pool become a random k-subset
+            for (let j = 0; j < k; j++) {
+                const r = j + Math.floor(random() * (N - j));
+                const tmp = pool[j]; pool[j] = pool[r]; pool[r] = tmp;
+                sample[j] = pool[j];
+            }
+            sample.sort();
+            const { es } = enrichmentScore(weights, sample, N);
+            if (es >= 0) pos.push(es); else neg.push(-es);
+        }
+        pos.sort((a, b) => a - b);
+        neg.sort((a, b) => a - b);
+        const mean = (arr) => arr.length ? arr.reduce((s, v) => s + v, 0) / arr.length : 0;
+        nulls[k] = { pos, neg, posMean: mean(pos), negMean: mean(neg) };
+    }
+
+    // NES and nominal p-values
+    for (const t of tested) {
+        const nd = nulls[t.hits.length];
+        if (t.es >= 0) {
+            t.nes = nd.posMean > 0 ? t.es / nd.posMean : 0;
+            t.pValue = (countAtLeast(nd.pos, t.es) + 1) / (nd.pos.length + 1);
+        } else {
+            t.nes = nd.negMean > 0 ? t.es / nd.negMean : 0;
+            t.pValue = (countAtLeast(nd.neg, -t.es) + 1) / (nd.neg.length + 1);
+        }
+    }
+
+    // FDR q-values: share of null NES beyond the observed NES over the observed share, per sign
+    const observedPos = tested.filter(t => t.nes >= 0).map(t => t.nes).sort((a, b) => a - b);
+    const observedNeg = tested.filter(t => t.nes < 0).map(t => -t.nes).sort((a, b) => a - b);
+    const nullShare = (x, side) => {
+        let beyond = 0, all = 0;
+        for (const k of sizes) {
+            const nd = nulls[k];
+            const arr = side === 'pos' ? nd.pos : nd.neg;
+            const scale = side === 'pos' ? nd.posMean : nd.negMean;
+            if (arr.length === 0 || scale === 0) continue;
+            beyond += setsPerSize[k] * countAtLeast(arr, x * scale) / opts.permutations;
+            all += setsPerSize[k] * arr.length / opts.permutations;
+        }
+        return all > 0 ? beyond / all : 0;
+    };
+    for (const t of tested) {
+        const side = t.nes >= 0 ? 'pos' : 'neg';
+        const x = Math.abs(t.nes);
+        const observed = side === 'pos' ? observedPos : observedNeg;
+        const observedShare = countAtLeast(observed, x) / observed.length;
+        t.fdr = Math.min(1, observedShare > 0 ? nullShare(x, side) / observedShare : 1);
+    }
+
+    const results = tested.map(t => {
+        // Leading edge: members up to the peak (positive ES) or from the peak on (negative ES)
+        const edge = t.es >= 0 ? t.hits.slice(0, t.peak + 1) : t.hits.slice(t.peak + 1);
+        return {
+            term: t.term,
+            description: t.set.description,
+            category: t.set.category,
+            es: t.es,
+            nes: t.nes,
+            pValue: t.pValue,
+            fdr: t.fdr,
+            geneCount: edge.length,
+            bgCount: t.hits.length,
+            genes: edge.map(i => ranked[i].id),
+            hits: t.hits,
+        };
+    });
+    results.sort((a, b) => a.fdr - b.fdr || a.pValue - b.pValue || Math.abs(b.nes) - Math.abs(a.nes));
+
+    return { method: 'gsea', results, stats: { mapped: N, total: N, termsTotal: tested.length } };
+}
+
+/**
+ * Sort gene-score pairs for GSEA: descending score, ties broken by ID, one entry per ID
+ * (the one with the largest absolute score).
+ */
+function prepareRankedList(pairs) {
+    const best = new Map();
+    for (const { id, score } of pairs) {
+        if (!isFinite(score)) continue;
+        const prev = best.get(id);
+        if (prev === undefined || Math.abs(score) > Math.abs(prev)) best.set(id, score);
+    }
+    return [...best].map(([id, score]) => ({ id, score }))
+        .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * Preranked GSEA over GO terms.
+ * @param {Array} pairs - [{ id: proteinId, score }]
+ */
+function runGOGSEA(pairs, goData, categoryFilter, options) {
+    const ontology = options && options.ontology;
+    const termSets = buildGOTermSets(goData || {}, categoryFilter, ontology);
+    const isAnnotated = goAnnotatedTest(goData || {}, termSets, categoryFilter);
+    const ranked = prepareRankedList(pairs.filter(p => isAnnotated(p.id)));
+    const sets = {};
+    for (const [term, info] of Object.entries(termSets)) {
+        sets[term] = { description: info.desc, category: info.category, members: info.proteins };
+    }
+    const result = runGSEA(ranked, sets, options);
+    result.stats.total = pairs.length;
+    result.ranked = ranked;
+    result.ic = ontology ? goInformationContent(termSets, ontology) : null;
+    return result;
+}
+
+/**
+ * Preranked GSEA over KEGG pathways. Proteins are mapped to KEGG genes with
+ * resolveKEGGGene; leading-edge genes are reported as KEGG gene names.
+ */
+function runKEGGGSEA(pairs, keggPathwayData, aliasData, infoData, options) {
+    if (!keggPathwayData || !keggPathwayData.gene_pathways) {
+        return { method: 'gsea', results: [], stats: { mapped: 0, total: pairs.length, termsTotal: 0 }, ranked: [] };
+    }
+    const keggGeneSet = new Set(Object.keys(keggPathwayData.gene_pathways));
+    const mapped = [];
+    for (const { id, score } of pairs) {
+        const gene = resolveKEGGGene(id, keggGeneSet, aliasData, infoData);
+        if (gene) mapped.push({ id: gene, score });
+    }
+    const ranked = prepareRankedList(mapped);
+    const sets = {};
+    for (const [pw, info] of Object.entries(buildKEGGPathwaySets(keggPathwayData))) {
+        sets[pw] = { description: info.name, category: 'KEGG Pathway', members: info.genes };
+    }
+    const result = runGSEA(ranked, sets, options);
+    result.stats.total = pairs.length;
+    result.ranked = ranked;
+    return result;
+}
+
+/** Preranked GSEA over one category of other annotation terms (see runTermEnrichment). */
+function runTermGSEA(pairs, termData, category, options) {
+    return runGOGSEA(pairs, termData || {}, category, Object.assign({}, options, { ontology: null }));
+}
+
 // Export for use in app.js
-window.Enrichment = { runGOEnrichment, runKEGGEnrichment };
+window.Enrichment = {
+    runGOEnrichment, runKEGGEnrichment, resolveKEGGGene, runTermEnrichment,
+    runGOGSEA, runKEGGGSEA, runTermGSEA, gseaRunningSum,
+    adjustPValues, CORRECTIONS, conditionalOddsRatio,
+    clusterGOTerms, compareEnrichments,
+};
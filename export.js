@@ -1,6 +1,6 @@
 /**
  * pomRelate — Export Utilities
- * CSV download + SVG/PNG/PDF export for enrichment plots.
+ * CSV download for enrichment results and tables, SVG/PNG/PDF export for plots.
  */
 
 // ===== CSV Export =====
@@ -10,22 +10,82 @@
  * @param {Array} results - enrichment result objects
  * @param {string} filename
  * @param {Function} getNameFn - function to get preferred name from protein ID
+ * @param {string[]} [notes] - written as leading "# " comment lines (e.g. partial-data warnings)
+ * @param {string} [pLabel] - header of the adjusted p-value column (e.g. 'q-value')
  */
-function downloadCSV(results, filename, getNameFn) {
-    const headers = ['Term', 'Description', 'Category', 'P-Value', 'FDR', 'Fold Enrichment', 'Gene Count', 'Background Count', 'Genes'];
-    const rows = results.map(r => [
-        r.term,
-        `"${(r.description || '').replace(/"/g, '""')}"`,
-        `"${(r.category || '').replace(/"/g, '""')}"`,
-        r.pValue.toExponential(4),
-        r.fdr.toExponential(4),
-        r.fold,
-        r.geneCount,
-        r.bgCount,
-        `"${r.genes.map(g => getNameFn ? getNameFn(g) : g).join(', ')}"`,
-    ]);
-
-    const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+function downloadCSV(results, filename, getNameFn, notes, pLabel = 'FDR') {
+    // Optional columns: GO ontology (BP/MF/CC), permutation p-value, odds ratio with 95% CI and gene ratio,
+    // observed direction (enriched/depleted), and for GO built on the ontology graph each term's parents and semantic cluster
+    const withOntology = results.some(r => r.ontology);
+    const withEmpirical = results.some(r => r.empiricalP !== undefined);
+    const withOddsRatio = results.some(r => r.oddsRatio !== undefined);
+    const withDirection = results.some(r => r.direction);
+    const withParents = results.some(r => r.parents);
+    const withClusters = results.some(r => r.representative);
+    const headers = ['Term', 'Description', 'Category', ...(withOntology ? ['Ontology'] : []), 'P-Value', pLabel, ...(withEmpirical ? ['Empirical P-Value'] : []), 'Fold Enrichment', ...(withOddsRatio ? ['Odds Ratio', 'OR 95% CI Lower', 'OR 95% CI Upper', 'Gene Ratio'] : []), ...(withDirection ? ['Direction'] : []), 'Gene Count', 'Background Count', 'Genes'];
+    if (withParents) headers.push('Parent Terms');
+    if (withClusters) headers.push('Cluster Representative');
+    const rows = results.map(r => {
+        const row = [
+            r.term,
+            `"${(r.description || '').replace(/"/g, '""')}"`,
+            `"${(r.category || '').replace(/"/g, '""')}"`,
+            ...(withOntology ? [r.ontology || ''] : []),
+            formatPValue(r.pValue, r.log10P),
+            formatPValue(r.fdr, r.log10Fdr),
+            ...(withEmpirical ? [r.empiricalP.toExponential(4)] : []),
+            r.fold,
+            ...(withOddsRatio ? [formatOddsRatio(r.oddsRatio), formatOddsRatio(r.orLower), formatOddsRatio(r.orUpper), `${r.geneCount}/${r.totalGenes}`] : []),
+            ...(withDirection ? [r.direction || ''] : []),
+            r.geneCount,
+            r.bgCount,
+            `"${r.genes.map(g => getNameFn ? getNameFn(g) : g).join(', ')}"`,
+        ];
+        if (withParents) row.push(`"${(r.parents || []).map(p => p.term).join('; ')}"`);
+        if (withClusters) row.push(r.representative || '');
+        return row;
+    });
+
+    const comments = (notes || []).map(n => `# ${n}`);
+    const csv = [...comments, headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+    triggerDownload(csv, filename, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * P-value in scientific notation. With its log10, values that underflow a
+ * double (below ~1e-308) are written from the log, e.g. 3.2000e-412.
+ */
+function formatPValue(v, log10) {
+    if (v >= 1e-300 || !Number.isFinite(log10)) return v.toExponential(4);
+    let exponent = Math.floor(log10);
+    let mantissa = (10 ** (log10 - exponent)).toFixed(4);
+    if (mantissa === '10.0000') {
+        mantissa = '1.0000';
+        exponent += 1;
+    }
+    return `${mantissa}e${exponent}`;
+}
+
+/** Odds ratio or CI bound as written to CSV: Inf at the edge of the support, NA when undefined. */
+function formatOddsRatio(v) {
+    if (v === Infinity) return 'Inf';
+    return Number.isFinite(v) ? v.toPrecision(4) : 'NA';
+}
+
+/**
+ * Download any table as CSV. Cells are quoted when they contain a comma, quote or newline.
+ * @param {string[]} headers
+ * @param {Array<Array>} rows
+ * @param {string} filename
+ * @param {string[]} [notes] - written as leading "# " comment lines
+ */
+function downloadTableCSV(headers, rows, filename, notes) {
+    const cell = (v) => {
+        const str = v === null || v === undefined ? '' : String(v);
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const comments = (notes || []).map(n => `# ${n}`);
+    const csv = [...comments, headers.map(cell).join(','), ...rows.map(r => r.map(cell).join(','))].join('\n');
     triggerDownload(csv, filename, 'text/csv;charset=utf-8;');
 }
 
@@ -281,4 +341,4 @@ function injectComputedStyles(original, clone) {
     if (rect) rect.setAttribute('fill', bg);
 }
 
-window.Export = { downloadCSV, downloadSVG, downloadPNG, downloadPDF };
+window.Export = { downloadCSV, downloadTableCSV, downloadSVG, downloadPNG, downloadPDF, formatPValue, formatOddsRatio };
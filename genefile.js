@@ -0,0 +1,204 @@
+/**
+ * pomRelate — Gene List Files
+ * Parses CSV/TSV/plain-text gene lists and result tables (e.g. DESeq2, edgeR,
+ * limma) into columns, guesses the ID, score, filter and group columns, and applies
+ * row filters such as padj < 0.05 and |log2FC| > 1. Several named lists can be
+ * entered at once, each introduced by a ">name" line.
+ */
+
+// ===== Parsing =====
+
+/**
+ * Split delimited text into rows of cells. Handles quoted cells with embedded
+ * delimiters, doubled quotes and newlines (RFC 4180).
+ */
+function splitDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            if (row.some(c => c !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    row.push(cell.trim());
+    if (row.some(c => c !== '')) rows.push(row);
+    return rows;
+}
+
+function isNumeric(value) {
+    return value !== '' && !isNaN(Number(value));
+}
+
+const HEADER_HINT = /^(gene|genes|id|ids|symbol|name|protein|locus|feature|baseMean|log2FoldChange|logFC|padj|pvalue|p\.?value|fdr|adj\.?P\.?Val|stat|t)$/i;
+
+/**
+ * Parse a gene list file.
+ * @param {string} text - file contents
+ * @param {string} [filename] - used to pick the delimiter (.tsv/.tab -> tab, .csv -> comma)
+ * @returns {Object} { columns: [name], rows: [[cell]], hasHeader, delimiter }
+ */
+function parseTable(text, filename) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    let delimiter;
+    if (/\.(tsv|tab)$/i.test(filename || '') || firstLine.includes('\t')) delimiter = '\t';
+    else if (/\.csv$/i.test(filename || '') || firstLine.includes(',')) delimiter = ',';
+    else if (firstLine.includes(';')) delimiter = ';';
+    else delimiter = '\n'; // plain list, one ID per line
+
+    let rows = delimiter === '\n'
+        ? text.split(/[\r\n]+/).map(l => l.trim()).filter(Boolean).map(l => [l])
+        : splitDelimited(text, delimiter);
+    if (rows.length === 0) return { columns: [], rows: [], hasHeader: false, delimiter };
+
+    const width = Math.max(...rows.slice(0, 50).map(r => r.length));
+    const first = rows[0];
+    const sample = rows.slice(1, 21);
+    const hasHeader = first.some(c => HEADER_HINT.test(c)) ||
+        (width > 1 && first.some((c, i) => c !== '' && !isNumeric(c) && sample.length > 0 && sample.every(r => isNumeric(r[i] || ''))));
+
+    // R writes row names with an empty header cell, so name unnamed columns by position
+    const columns = [];
+    for (let i = 0; i < width; i++) {
+        columns.push(hasHeader && first[i] ? first[i] : `Column ${i + 1}`);
+    }
+    if (hasHeader) rows = rows.slice(1);
+    return { columns, rows, hasHeader, delimiter };
+}
+
+/**
+ * Split gene input into named lists. A line starting with ">" names the genes
+ * below it, as in FASTA, so several clusters can be entered at once; genes
+ * before the first header form a list of their own. Genes are separated by
+ * commas or newlines, and lists without genes are dropped.
+ * @param {string} text - gene input
+ * @returns {Array} [{ name, genes: [id] }]; unnamed lists are called "List 1", "List 2", ...
+ */
+function parseGeneLists(text) {
+    const lists = [];
+    let current = { name: '', genes: [] };
+    const close = () => {
+        if (current.genes.length === 0) return;
+        if (!current.name) current.name = `List ${lists.length + 1}`;
+        lists.push(current);
+    };
+    for (const line of text.split(/\r?\n/)) {
+        const header = line.match(/^\s*>(.*)$/);
+        if (header) {
+            close();
+            current = { name: header[1].trim(), genes: [] };
+            continue;
+        }
+        current.genes.push(...line.split(',').map(g => g.trim()).filter(Boolean));
+    }
+    close();
+    return lists;
+}
+
+// ===== Column Detection =====
+
+/**
+ * Guess the ID, score and filter columns of a parsed table.
+ * @returns {Object} { idColumn, scoreColumn, padjColumn, lfcColumn, groupColumn } column indices, -1 when absent
+ */
+function detectColumns(table) {
+    const find = (re) => table.columns.findIndex(c => re.test(c));
+    const sample = table.rows.slice(0, 50);
+    const mostlyText = (i) => sample.filter(r => r[i] && !isNumeric(r[i])).length > sample.length / 2;
+
+    let idColumn = find(/^(gene|genes|gene_?id|gene_?name|symbol|id|name|protein|locus|feature)$/i);
+    if (idColumn < 0 || !mostlyText(idColumn)) idColumn = table.columns.findIndex((c, i) => mostlyText(i));
+
+    const lfcColumn = find(/^(log2FoldChange|logFC|log2FC|log2_fold_change)$/i);
+    const statColumn = find(/^(stat|t|wald|score)$/i);
+    return {
+        idColumn: Math.max(idColumn, 0),
+        // Signed statistics rank best for GSEA; fold change is the usual fallback
+        scoreColumn: statColumn >= 0 ? statColumn : lfcColumn,
+        padjColumn: find(/^(padj|fdr|adj\.?P\.?Val|q\.?value|qval)$/i),
+        lfcColumn,
+        // Cluster or group labels split the table into several lists
+        groupColumn: find(/^(group|cluster|module|list|set|condition|contrast|comparison|time_?point)$/i),
+    };
+}
+
+// ===== Filtering =====
+
+const FILTER_OPS = {
+    '<': (v, t) => v < t,
+    '<=': (v, t) => v <= t,
+    '>': (v, t) => v > t,
+    '>=': (v, t) => v >= t,
+    'abs>': (v, t) => Math.abs(v) > t,
+    'abs<': (v, t) => Math.abs(v) < t,
+};
+
+/**
+ * Extract the gene list from a parsed table.
+ * Rows whose filter cell is missing or not a number (e.g. DESeq2's NA padj) are dropped
+ * from the gene list. Scores are read from every row, filtered or not, so that the
+ * whole table can serve as a GSEA ranking. With a group column, the kept rows
+ * are also split into one list per group label, in order of first appearance.
+ * @param {Object} table - from parseTable
+ * @param {Object} spec - { idColumn, scoreColumn (-1 for none), filters: [{ column, op, value }],
+ *   groupColumn (-1 or absent for none) }
+ * @returns {Object} { genes: [id], scores: { id: number } | null, groups: [{ name, genes }] | null, rowsKept, rowsTotal }
+ */
+function extractGeneList(table, spec) {
+    const filters = (spec.filters || []).filter(f => f.column >= 0 && FILTER_OPS[f.op] && isFinite(f.value));
+    const genes = [];
+    const scores = spec.scoreColumn >= 0 ? {} : null;
+    const seen = new Set();
+    const groups = spec.groupColumn >= 0 ? new Map() : null; // name -> Set of ids
+    let rowsKept = 0;
+
+    for (const row of table.rows) {
+        const id = (row[spec.idColumn] || '').trim();
+        if (!id) continue;
+        if (scores && !(id in scores)) {
+            const v = row[spec.scoreColumn];
+            if (isNumeric(v || '')) scores[id] = Number(v);
+        }
+        const pass = filters.every(f => {
+            const v = row[f.column];
+            return isNumeric(v || '') && FILTER_OPS[f.op](Number(v), f.value);
+        });
+        if (!pass) continue;
+        rowsKept++;
+        const group = groups ? (row[spec.groupColumn] || '').trim() : '';
+        if (group) {
+            if (!groups.has(group)) groups.set(group, new Set());
+            groups.get(group).add(id);
+        }
+        if (seen.has(id)) continue;
+        seen.add(id);
+        genes.push(id);
+    }
+    return {
+        genes,
+        scores,
+        groups: groups ? [...groups].map(([name, ids]) => ({ name, genes: [...ids] })) : null,
+        rowsKept,
+        rowsTotal: table.rows.length,
+    };
+}
+
+window.GeneFile = { parseTable, parseGeneLists, detectColumns, extractGeneList, FILTER_OPS };
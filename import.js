@@ -0,0 +1,131 @@
+/**
+ * pomRelate — Species Bundle Import
+ * Reads a user-supplied species bundle (the data/<taxid>/ layout: manifest.json
+ * plus chunked JSON) from a picked folder or a .zip archive.
+ * Zip support covers stored and deflated entries (no ZIP64, no encryption).
+ */
+
+// ===== Folder =====
+
+/**
+ * Read files picked through <input type="file" webkitdirectory>.
+ * @param {FileList|File[]} fileList
+ * @returns {Promise<Map<string, ArrayBuffer>>} relative path -> contents
+ */
+async function readFolder(fileList) {
+    const files = new Map();
+    for (const file of fileList) {
+        if (!file.name.endsWith('.json')) continue;
+        files.set(file.webkitRelativePath || file.name, await file.arrayBuffer());
+    }
+    return files;
+}
+
+// ===== Zip =====
+
+const ZIP_EOCD_SIG = 0x06054b50;
+const ZIP_CENTRAL_SIG = 0x02014b50;
+const ZIP_LOCAL_SIG = 0x04034b50;
+
+/**
+ * Read the JSON entries of a .zip archive.
+ * @param {File|Blob} file
+ * @returns {Promise<Map<string, ArrayBuffer>>} entry path -> contents
+ */
+async function readZip(file) {
+    const buffer = await file.arrayBuffer();
+    const view = new DataView(buffer);
+
+    // End of central directory: last 22 bytes plus an optional comment of up to 64 KB
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === ZIP_EOCD_SIG) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a zip archive');
+
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const decoder = new TextDecoder();
+    const files = new Map();
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(offset, true) !== ZIP_CENTRAL_SIG) throw new Error('Corrupt zip central directory');
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLen = view.getUint16(offset + 28, true);
+        const extraLen = view.getUint16(offset + 30, true);
+        const commentLen = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLen));
+        offset += 46 + nameLen + extraLen + commentLen;
+
+        if (name.endsWith('/') || !name.endsWith('.json') || name.startsWith('__MACOSX/')) continue;
+        if (flags & 0x1) throw new Error(`${name} is encrypted`);
+
+        if (view.getUint32(localOffset, true) !== ZIP_LOCAL_SIG) throw new Error(`Corrupt zip entry ${name}`);
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = buffer.slice(dataStart, dataStart + compressedSize);
+        files.set(name, await inflate(raw, method, name));
+    }
+    return files;
+}
+
+async function inflate(raw, method, name) {
+    if (method === 0) return raw;
+    if (method !== 8) throw new Error(`${name} uses unsupported compression method ${method}`);
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress zip files; import the unzipped folder instead');
+    }
+    const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).arrayBuffer();
+}
+
+// ===== Bundle Detection =====
+
+/**
+ * Find the species bundle among the picked files: the directory holding manifest.json.
+ * @param {Map<string, ArrayBuffer>} entries - paths as returned by readFolder/readZip
+ * @returns {Object} { dir, files } — files maps names relative to dir -> contents
+ * @throws when there is no manifest or more than one
+ */
+function locateBundle(entries) {
+    const manifests = [...entries.keys()].filter(p => p === 'manifest.json' || p.endsWith('/manifest.json'));
+    if (manifests.length === 0) throw new Error('No manifest.json found. Pick a folder laid out like data/<taxid>/.');
+    if (manifests.length > 1) throw new Error(`Found ${manifests.length} manifest.json files. Import one species at a time.`);
+
+    const dir = manifests[0].slice(0, manifests[0].length - 'manifest.json'.length);
+    const files = new Map();
+    for (const [p, buffer] of entries) {
+        if (!p.startsWith(dir)) continue;
+        const rel = p.slice(dir.length);
+        if (!rel.includes('/')) files.set(rel, buffer);
+    }
+    return { dir: dir.replace(/\/$/, ''), files };
+}
+
+/**
+ * Suggest a gene-ID regex for species auto-detection: the longest prefix shared
+ * by most protein IDs (e.g. SJAG_ for S. japonicus).
+ * @returns {string} regex source, or '' when the IDs share no useful prefix
+ */
+function suggestIdPattern(ids) {
+    const sample = ids.slice(0, 2000);
+    if (sample.length === 0) return '';
+    let best = '';
+    for (let len = 2; len <= 8; len++) {
+        const counts = {};
+        for (const id of sample) {
+            if (id.length <= len) continue;
+            const prefix = id.slice(0, len);
+            counts[prefix] = (counts[prefix] || 0) + 1;
+        }
+        const [prefix, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+        if (!prefix || count < sample.length * 0.8 || !/^[A-Za-z]/.test(prefix)) break;
+        best = prefix;
+    }
+    return best.length >= 3 ? '^' + best.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : '';
+}
+
+window.SpeciesImport = { readFolder, readZip, locateBundle, suggestIdPattern };
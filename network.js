@@ -8,6 +8,19 @@
  * @returns {Object|null} { svg, nodes }
  */
 function buildPPINetworkSVG(resolvedGenes, ppiData, infoData, scoreThreshold, getNameFn, taxid) {
+    const net = prepareNetwork(resolvedGenes, ppiData, scoreThreshold, getNameFn);
+    if (!net) return null;
+    runSimulationSync(net.nodes, net.edges, net.width, net.height);
+    return renderNetwork(net, taxid);
+}
+
+/**
+ * Collect nodes and edges for the query genes and seed initial positions.
+ * Layout is a separate step so it can run off the main thread (see compute.js).
+ * @param {string[]} [expandedIds] - non-query proteins whose partners are added too
+ * @returns {Object|null} { nodes, edges, width, height }
+ */
+function prepareNetwork(resolvedGenes, ppiData, scoreThreshold, getNameFn, expandedIds) {
     if (!ppiData) return null;
 
     const queryIds = new Set(resolvedGenes.filter(g => g.proteinId).map(g => g.proteinId));
@@ -21,8 +34,12 @@ function buildPPINetworkSVG(resolvedGenes, ppiData, infoData, scoreThreshold, ge
     for (const pid of queryIds) {
         nodeMap[pid] = { id: pid, name: getNameFn(pid), isQuery: true, degree: 0 };
     }
+    const expanded = (expandedIds || []).filter(pid => !queryIds.has(pid));
+    for (const pid of expanded) {
+        nodeMap[pid] = { id: pid, name: getNameFn(pid), isQuery: false, isExpanded: true, degree: 0 };
+    }
 
-    for (const pid of queryIds) {
+    for (const pid of [...queryIds, ...expanded]) {
         const interactions = ppiData[pid];
         if (!interactions) continue;
 
@@ -87,7 +104,27 @@ function buildPPINetworkSVG(resolvedGenes, ppiData, infoData, scoreThreshold, ge
         n.r = n.isQuery || n.isHub ? 14 : 7;
     }
 
-    runSimulationSync(nodes, edges, width, height);
+    return { nodes, edges, width, height };
+}
+
+/**
+ * Run the force-directed layout and return final positions keyed by node ID.
+ * Safe to call inside a worker (no DOM access).
+ */
+function layoutNetwork(nodes, edges, width, height, onProgress) {
+    runSimulationSync(nodes, edges, width, height, onProgress);
+    const positions = {};
+    for (const n of nodes) positions[n.id] = { x: n.x, y: n.y };
+    return positions;
+}
+
+/**
+ * Render a laid-out network.
+ * @param {Function} [onExpand] - called with a protein ID when an interactor is double-clicked
+ * @returns {Object} { svg, nodes }
+ */
+function renderNetwork(net, taxid, onExpand) {
+    const { nodes, edges, width, height } = net;
 
     // Calculate average interaction confidence per node
     nodes.forEach(n => {
@@ -97,12 +134,12 @@ function buildPPINetworkSVG(resolvedGenes, ppiData, infoData, scoreThreshold, ge
             : 0;
     });
 
-    const svg = renderNetworkViewer(nodes, edges, width, height, taxid);
+    const svg = renderNetworkViewer(nodes, edges, width, height, taxid, onExpand);
     return { svg, nodes };
 }
 
 /** Run force-directed simulation synchronously. */
-function runSimulationSync(nodes, edges, width, height) {
+function runSimulationSync(nodes, edges, width, height, onProgress) {
     const k = Math.sqrt((width * height) / (nodes.length || 1)) * 1.5;
     let alpha = 1.0;
     const idxMap = {};
@@ -112,6 +149,7 @@ function runSimulationSync(nodes, edges, width, height) {
     for (let iter = 0; iter < 300; iter++) {
         alpha *= 0.99;
         if (alpha < 0.001) break;
+        if (onProgress && iter % 30 === 0) onProgress(iter / 300);
 
         // Reset forces
         nodes.forEach(n => { n.vx = 0; n.vy = 0; });
@@ -185,7 +223,7 @@ function runSimulationSync(nodes, edges, width, height) {
 /**
  * Render the viewer with Zoom/Pan capabilities.
  */
-function renderNetworkViewer(nodes, edges, width, height, taxid) {
+function renderNetworkViewer(nodes, edges, width, height, taxid, onExpand) {
     const theme = document.documentElement.getAttribute('data-theme');
     const isDark = theme === 'dark';
 
@@ -293,7 +331,7 @@ function renderNetworkViewer(nodes, edges, width, height, taxid) {
         else c.setAttribute('fill', isDark ? `url(#${gid('grad-node-dark')})` : `url(#${gid('grad-node')})`);
 
         c.setAttribute('stroke', isDark ? '#fff' : '#333');
-        c.setAttribute('stroke-width', n.isQuery ? 1.5 : 0.5);
+        c.setAttribute('stroke-width', n.isQuery || n.isExpanded ? 1.5 : 0.5);
         c.setAttribute('stroke-opacity', 0.8);
         g.appendChild(c);
 
@@ -327,6 +365,13 @@ function renderNetworkViewer(nodes, edges, width, height, taxid) {
             });
         }
 
+        if (onExpand && !n.isQuery && !n.isExpanded) {
+            g.addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                onExpand(n.id);
+            });
+        }
+
         container.appendChild(g);
         nodeElements[n.id] = g;
     }
@@ -473,4 +518,4 @@ function setupInteraction(svg, container, initX, initY, initScale, nodes, nodeEl
     window.addEventListener('mouseup', onUp);
 }
 
-window.PPINetwork = { buildPPINetworkSVG };
+window.PPINetwork = { buildPPINetworkSVG, prepareNetwork, layoutNetwork, renderNetwork };
@@ -613,8 +613,10 @@ function findOrthogroup(proteinId, sourceTaxid, phyloData, aliasData) {
 /**
  * Build the Phylogeny tab content.
  * Called from app.js after analysis completes.
+ * @param {Object} [parsedTrees] - optional ogId -> parsed tree, e.g. parsed in a worker;
+ *   trees missing from it are parsed here
  */
-function buildPhylogenyTab(resolvedGenes, sourceTaxid, targetTaxids, phyloData) {
+function buildPhylogenyTab(resolvedGenes, sourceTaxid, targetTaxids, phyloData, parsedTrees) {
     const container = document.querySelector('#tab-phylogeny');
     if (!container) return;
 
@@ -769,7 +771,7 @@ function buildPhylogenyTab(resolvedGenes, sourceTaxid, targetTaxids, phyloData)
         const treeContainer = document.getElementById(te.containerId);
         if (!treeContainer) continue;
 
-        const tree = parseNewick(te.newick);
+        const tree = (parsedTrees && parsedTrees[te.ogId]) || parseNewick(te.newick);
         if (!tree) {
             treeContainer.innerHTML = '<p class="no-data">Failed to parse gene tree.</p>';
             continue;
@@ -885,7 +887,7 @@ function exportPhylogenyCSV(resolvedGenes, sourceTaxid, targetTaxids, phyloData)
         return taxid;
     };
 
-    var headers = ['Gene', 'Protein ID', 'Orthogroup', 'Members', 'Species Represented', 'Missing Targets'];
+    var headers = ['Gene', 'Protein ID', 'Orthogroup', 'Members', 'Species Represented', 'Missing Targets', 'Other Candidates'];
     var rows = [];
 
     var found = resolvedGenes.filter(function(g) { return g.proteinId; });
@@ -903,7 +905,8 @@ function exportPhylogenyCSV(resolvedGenes, sourceTaxid, targetTaxids, phyloData)
             ogId,
             members.length,
             representedSpecies.size,
-            '"' + missingTargets.map(function(t) { return getSpeciesName(t); }).join(', ') + '"'
+            '"' + missingTargets.map(function(t) { return getSpeciesName(t); }).join(', ') + '"',
+            '"' + (gene.candidates || []).filter(function(c) { return c !== gene.proteinId; }).join(', ') + '"'
         ]);
     }
 
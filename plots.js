@@ -1,6 +1,7 @@
 ﻿/**
  * pomRelate â€” Publication-Quality Plot Generation
- * SVG-based enrichment plots: bar chart, dot plot, and hierarchical clustering dendrogram.
+ * SVG-based enrichment plots: bar chart, dot plot, hierarchical clustering dendrogram,
+ * and GSEA NES bar and running-score plots.
  * Designed for academic publication standards.
  */
 
@@ -45,8 +46,11 @@ function interpolate(t, colors) {
 /**
  * Create a horizontal bar chart of top enriched terms.
  * Publication-quality: proper axes, tick marks, legends, no overlapping.
+ * pLabel names the adjusted p-value (row.fdr) on the axis, e.g. 'q-value'.
+ * axis 'or' plots odds ratios with 95% CI error bars instead of -log10(FDR).
  */
-function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrichment Analysis') {
+function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrichment Analysis', pLabel = 'FDR', axis = 'fdr') {
+    if (axis === 'or') return createOddsRatioChart(results, topN, palette, title, pLabel);
     const data = results.filter(r => r.fdr <= 1).slice(0, topN).reverse(); // reverse for bottom-to-top
     if (data.length === 0) return null;
 
@@ -66,7 +70,7 @@ function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrich
     const width = margin.left + plotW + margin.right;
     const height = margin.top + plotH + margin.bottom;
 
-    const maxVal = Math.max(...data.map(d => -Math.log10(Math.max(d.fdr, 1e-16))));
+    const maxVal = Math.max(...data.map(d => negLog10FDR(d)));
     const xMax = niceMax(maxVal);
     const xScale = (v) => (v / xMax) * plotW;
 
@@ -83,7 +87,7 @@ function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrich
 
     // Subtitle: FDR threshold
     const sigCount = data.filter(d => d.fdr < 0.05).length;
-    addText(svg, width / 2, 38, `Top ${data.length} terms Â· ${sigCount} significant (FDR < 0.05)`, {
+    addText(svg, width / 2, 38, `Top ${data.length} terms Â· ${sigCount} significant (${pLabel} < 0.05)`, {
         size: '10px', fill: textMuted, anchor: 'middle',
         family: "'EB Garamond', Georgia, serif"
     });
@@ -103,7 +107,7 @@ function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrich
     }
 
     // X-axis label
-    addText(svg, margin.left + plotW / 2, height - 10, 'âˆ’log\u2081\u2080(FDR)', {
+    addText(svg, margin.left + plotW / 2, height - 10, logLabel(pLabel), {
         size: '11px', fill: textColor, anchor: 'middle', weight: '500',
         family: "'EB Garamond', Georgia, serif"
     });
@@ -116,7 +120,7 @@ function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrich
     for (let i = 0; i < data.length; i++) {
         const d = data[i];
         const y = i * (barH + barGap);
-        const val = -Math.log10(Math.max(d.fdr, 1e-16));
+        const val = negLog10FDR(d);
         const w = Math.max(xScale(val), 2);
 
         const t = maxFold > minFold ? (d.fold - minFold) / (maxFold - minFold) : 0.5;
@@ -125,6 +129,7 @@ function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrich
 
         const r = addRect(g, 0, y, w, barH, barColor);
         r.setAttribute('rx', '2');
+        if (d.direction === 'depleted') styleDepleted(r, axisColor);
 
         // Significance marker
         if (d.fdr < 0.001) {
@@ -186,6 +191,10 @@ function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrich
     // Legend border
     addRect(g, legendX, legendY, legendW, legendH, 'none').setAttribute('stroke', axisColor);
 
+    if (data.some(d => d.direction === 'depleted')) {
+        addDirectionLegend(g, legendX, legendY + legendH + 24, 'rect', PALETTES[palette] || PALETTES['Default'], theme, textColor, axisColor);
+    }
+
     return svg;
 }
 
@@ -193,7 +202,7 @@ function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrich
  * Create a dot plot of enrichment results.
  * Publication-quality with proper size and color legends.
  */
-function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichment Dot Plot') {
+function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichment Dot Plot', pLabel = 'FDR') {
     const data = results.filter(r => r.fdr <= 1).slice(0, topN).reverse();
     if (data.length === 0) return null;
 
@@ -214,7 +223,7 @@ function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichm
     const maxFold = Math.max(...data.map(d => d.fold));
     const xMax = niceMax(maxFold);
     const maxGeneCount = Math.max(...data.map(d => d.geneCount));
-    const maxLogFDR = Math.max(...data.map(d => -Math.log10(Math.max(d.fdr, 1e-16))));
+    const maxLogFDR = Math.max(...data.map(d => negLog10FDR(d)));
 
     const xScale = (v) => (v / xMax) * plotW;
     const rScale = (v) => 3 + Math.sqrt(v / Math.max(maxGeneCount, 1)) * 9;
@@ -229,7 +238,7 @@ function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichm
     });
 
     const sigCount = data.filter(d => d.fdr < 0.05).length;
-    addText(svg, width / 2, 38, `Top ${data.length} terms Â· ${sigCount} significant (FDR < 0.05)`, {
+    addText(svg, width / 2, 38, `Top ${data.length} terms Â· ${sigCount} significant (${pLabel} < 0.05)`, {
         size: '10px', fill: textMuted, anchor: 'middle',
         family: "'EB Garamond', Georgia, serif"
     });
@@ -259,6 +268,10 @@ function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichm
         addLine(g, 0, y, plotW, y, gridColor, 0.3);
     }
 
+    // Fold = 1 separates depleted from enriched terms
+    const anyDepleted = data.some(d => d.direction === 'depleted');
+    if (anyDepleted) addLine(g, xScale(1), -3, xScale(1), plotH, axisColor, 0.8, '4,3');
+
     // Dots
     for (let i = 0; i < data.length; i++) {
         const d = data[i];
@@ -266,7 +279,7 @@ function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichm
         const x = xScale(d.fold);
         const r = rScale(d.geneCount);
 
-        const logFDR = -Math.log10(Math.max(d.fdr, 1e-16));
+        const logFDR = negLog10FDR(d);
         const intensity = maxLogFDR > 0 ? Math.min(logFDR / maxLogFDR, 1) : 0.5;
         const colorFn = PALETTES[palette] || PALETTES['Default'];
         const dotColor = colorFn(intensity, theme);
@@ -274,6 +287,7 @@ function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichm
         const c = addCircle(g, x, y, r, dotColor);
         c.setAttribute('stroke', axisColor);
         c.setAttribute('stroke-width', '0.5');
+        if (d.direction === 'depleted') styleDepleted(c, axisColor);
 
         // Term label
         const label = truncLabel(d.description, 42);
@@ -312,7 +326,7 @@ function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichm
 
     // Color legend: âˆ’logâ‚â‚€(FDR) gradient
     const colorLegY = 18 + sizeLevels.length * 24 + 14;
-    addText(g, legX, colorLegY, 'âˆ’log\u2081\u2080(FDR)', {
+    addText(g, legX, colorLegY, logLabel(pLabel), {
         size: '9px', fill: textColor, anchor: 'start', weight: '600',
         family: "'EB Garamond', Georgia, serif"
     });
@@ -339,6 +353,487 @@ function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichm
         family: "'EB Garamond', Georgia, serif"
     });
 
+    if (anyDepleted) {
+        addDirectionLegend(g, legX, gradY + gradH + 24, 'circle', PALETTES[palette] || PALETTES['Default'], theme, textColor, axisColor);
+    }
+
+    return svg;
+}
+
+/**
+ * Odds-ratio bars with 95% CI whiskers on a log2 axis centered on OR = 1:
+ * enriched terms extend right, depleted terms left. The top terms by p-value
+ * are ordered by odds ratio; infinite estimates and bounds run to the axis edge.
+ */
+function createOddsRatioChart(results, topN, palette, title, pLabel) {
+    const data = results.filter(r => r.fdr <= 1 && r.oddsRatio >= 0).slice(0, topN)
+        .sort((a, b) => b.oddsRatio - a.oddsRatio);
+    if (data.length === 0) return null;
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const gridColor = theme === 'dark' ? '#333333' : '#e0e0e0';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+    const font = "'EB Garamond', Georgia, serif";
+
+    const margin = { top: 50, right: 110, bottom: 58, left: 280 };
+    const barH = 20;
+    const barGap = 7;
+    const plotH = data.length * (barH + barGap) - barGap;
+    const plotW = 440;
+    const width = margin.left + plotW + margin.right;
+    const height = margin.top + plotH + margin.bottom;
+
+    // log2 axis over all finite estimates and bounds; 0 and Infinity are clamped to its ends
+    const finite = data.flatMap(d => [d.oddsRatio, d.orLower, d.orUpper])
+        .filter(v => v > 0 && isFinite(v)).map(v => Math.log2(v));
+    let xMin = Math.floor(Math.min(0, ...finite));
+    let xMax = Math.ceil(Math.max(0, ...finite));
+    if (xMax - xMin < 2) { xMin -= 1; xMax += 1; }
+    const clampLog = (v) => (v <= 0 ? xMin : isFinite(v) ? Math.min(xMax, Math.max(xMin, Math.log2(v))) : xMax);
+    const xScale = (v) => ((v - xMin) / (xMax - xMin)) * plotW;
+    const oneX = xScale(0);
+
+    const maxLog = Math.max(1, ...data.map(d => negLog10FDR(d)));
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+
+    const svg = makeSVG(width, height);
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+    addText(svg, width / 2, 22, title, { size: '14px', weight: '700', fill: textColor, anchor: 'middle', family: font });
+    const sigCount = data.filter(d => d.fdr < 0.05).length;
+    addText(svg, width / 2, 38, `Top ${data.length} terms \u00b7 ${sigCount} significant (${pLabel} < 0.05) \u00b7 ordered by odds ratio`, {
+        size: '10px', fill: textMuted, anchor: 'middle', family: font
+    });
+
+    const g = addGroup(svg, margin.left, margin.top);
+
+    const step = xMax - xMin > 8 ? 2 : 1;
+    for (let t = xMin; t <= xMax; t += step) {
+        const x = xScale(t);
+        addLine(g, x, -3, x, plotH, gridColor, 0.5, '2,3');
+        addLine(g, x, plotH, x, plotH + 5, axisColor, 1);
+        addText(g, x, plotH + 18, t >= 0 ? String(2 ** t) : `1/${2 ** -t}`, { size: '10px', fill: textColor, anchor: 'middle', family: font });
+    }
+    addText(svg, margin.left + plotW / 2, height - 10, 'Odds Ratio (log\u2082 scale, 95% CI)', {
+        size: '11px', fill: textColor, anchor: 'middle', weight: '500', family: font
+    });
+
+    for (let i = 0; i < data.length; i++) {
+        const d = data[i];
+        const y = i * (barH + barGap);
+        const cy = y + barH / 2;
+        const x = xScale(clampLog(d.oddsRatio));
+        const t = negLog10FDR(d) / maxLog;
+        const r = addRect(g, Math.min(x, oneX), y + 3, Math.max(Math.abs(x - oneX), 2), barH - 6, colorFn(t, theme));
+        r.setAttribute('rx', '2');
+        if (d.direction === 'depleted') styleDepleted(r, axisColor);
+
+        // CI whisker, capped at finite bounds
+        const x0 = xScale(clampLog(d.orLower));
+        const x1 = xScale(clampLog(d.orUpper));
+        addLine(g, x0, cy, x1, cy, axisColor, 1.2);
+        if (d.orLower > 0) addLine(g, x0, cy - 5, x0, cy + 5, axisColor, 1.2);
+        if (isFinite(d.orUpper)) addLine(g, x1, cy - 5, x1, cy + 5, axisColor, 1.2);
+
+        addText(g, -8, cy + 1, truncLabel(d.description, 42), {
+            size: '10px', fill: textColor, anchor: 'end', baseline: 'middle', family: font
+        });
+    }
+
+    addLine(g, oneX, -3, oneX, plotH, axisColor, 1.2);
+    addLine(g, 0, plotH, plotW, plotH, axisColor, 1.2);
+
+    // Legend: -log10(adjusted p) gradient
+    const legendX = plotW + 45;
+    const legendH = Math.min(plotH * 0.5, 100);
+    const legendW = 12;
+    addText(g, legendX + legendW / 2, -6, logLabel(pLabel), {
+        size: '9px', fill: textColor, anchor: 'middle', weight: '600', family: font
+    });
+    const gradSteps = 20;
+    for (let i = 0; i < gradSteps; i++) {
+        const frac = i / (gradSteps - 1);
+        addRect(g, legendX, frac * legendH, legendW, legendH / gradSteps + 1, colorFn(1 - frac, theme));
+    }
+    addText(g, legendX + legendW + 4, 4, maxLog.toFixed(1), { size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle', family: font });
+    addText(g, legendX + legendW + 4, legendH, '0', { size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle', family: font });
+    addRect(g, legendX, 0, legendW, legendH, 'none').setAttribute('stroke', axisColor);
+    if (data.some(d => d.direction === 'depleted')) {
+        addDirectionLegend(g, legendX, legendH + 24, 'rect', colorFn, theme, textColor, axisColor);
+    }
+
+    return svg;
+}
+
+/**
+ * Comparative dot plot of several gene lists (compareCluster style): lists on the
+ * x-axis, terms on the y-axis. A dot marks a term significant in that list, sized
+ * by gene ratio (k/n) and colored by -log10 of the adjusted p-value.
+ * @param {Object} comparison - from Enrichment.compareEnrichments
+ * @param {number[]} [listSizes] - genes per list, shown under the list names
+ */
+function createCompareDotPlot(comparison, palette = 'Default', title = 'Comparative Enrichment', pLabel = 'FDR', listSizes = null) {
+    const cutoff = 0.05;
+    const lists = comparison.lists;
+    const terms = comparison.terms;
+    if (lists.length === 0 || terms.length === 0) return null;
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const gridColor = theme === 'dark' ? '#333333' : '#e0e0e0';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+    const font = "'EB Garamond', Georgia, serif";
+
+    const margin = { top: 50, right: 130, bottom: 52, left: 280 };
+    const rowH = 24;
+    const colW = 76;
+    const plotH = terms.length * rowH;
+    const plotW = lists.length * colW;
+    const width = margin.left + plotW + margin.right;
+    const height = Math.max(margin.top + plotH + margin.bottom, margin.top + 260);
+
+    const cells = [];
+    terms.forEach((t, ti) => t.rows.forEach((r, li) => {
+        if (r && r.fdr < cutoff) cells.push({ r, ti, li });
+    }));
+    const maxRatio = Math.max(...cells.map(c => c.r.geneRatio), 0.01);
+    const maxLog = Math.max(1, ...cells.map(c => negLog10FDR(c.r)));
+    const rScale = (v) => 2.5 + Math.sqrt(v / maxRatio) * 8.5;
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+
+    const svg = makeSVG(width, height);
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+    addText(svg, width / 2, 22, title, { size: '14px', weight: '700', fill: textColor, anchor: 'middle', family: font });
+    addText(svg, width / 2, 38, `${terms.length} terms \u00b7 significant (${pLabel} < ${cutoff}) in at least one of ${lists.length} lists`, {
+        size: '10px', fill: textMuted, anchor: 'middle', family: font
+    });
+
+    const g = addGroup(svg, margin.left, margin.top);
+
+    // Grid: one column per list, one row per term
+    lists.forEach((name, li) => {
+        const x = li * colW + colW / 2;
+        addLine(g, x, 0, x, plotH, gridColor, 0.5, '2,3');
+        addText(g, x, plotH + 16, truncLabel(name, 12), { size: '10px', fill: textColor, anchor: 'middle', weight: '600', family: font });
+        if (listSizes) {
+            addText(g, x, plotH + 29, `n = ${listSizes[li]}`, { size: '9px', fill: textMuted, anchor: 'middle', family: font });
+        }
+    });
+    terms.forEach((t, ti) => {
+        const y = ti * rowH + rowH / 2;
+        addLine(g, 0, y, plotW, y, gridColor, 0.3);
+        addText(g, -8, y + 1, truncLabel(t.description || t.term, 42), {
+            size: '10px', fill: textColor, anchor: 'end', baseline: 'middle', family: font
+        });
+    });
+
+    for (const { r, ti, li } of cells) {
+        const intensity = Math.min(negLog10FDR(r) / maxLog, 1);
+        const c = addCircle(g, li * colW + colW / 2, ti * rowH + rowH / 2, rScale(r.geneRatio), colorFn(intensity, theme));
+        c.setAttribute('stroke', axisColor);
+        c.setAttribute('stroke-width', '0.5');
+        if (r.direction === 'depleted') styleDepleted(c, axisColor);
+    }
+
+    addRect(g, 0, 0, plotW, plotH, 'none').setAttribute('stroke', axisColor);
+
+    // ===== Legends =====
+    const legX = plotW + 18;
+    addText(g, legX, 0, 'Gene Ratio', { size: '9px', fill: textColor, anchor: 'start', weight: '600', family: font });
+    const sizeLevels = [maxRatio / 4, maxRatio / 2, maxRatio];
+    sizeLevels.forEach((v, i) => {
+        const ly = 18 + i * 24;
+        addCircle(g, legX + 10, ly, rScale(v), 'none').setAttribute('stroke', axisColor);
+        addText(g, legX + 25, ly + 1, v.toFixed(2), { size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle', family: font });
+    });
+
+    const colorLegY = 18 + sizeLevels.length * 24 + 14;
+    addText(g, legX, colorLegY, logLabel(pLabel), { size: '9px', fill: textColor, anchor: 'start', weight: '600', family: font });
+    const gradH = 60;
+    const gradW = 12;
+    const gradY = colorLegY + 10;
+    const gradSteps = 15;
+    for (let i = 0; i < gradSteps; i++) {
+        const frac = i / (gradSteps - 1);
+        addRect(g, legX, gradY + frac * gradH, gradW, gradH / gradSteps + 1, colorFn(1 - frac, theme));
+    }
+    addRect(g, legX, gradY, gradW, gradH, 'none').setAttribute('stroke', axisColor);
+    addText(g, legX + gradW + 4, gradY + 4, maxLog.toFixed(1), { size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle', family: font });
+    addText(g, legX + gradW + 4, gradY + gradH, '0.0', { size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle', family: font });
+
+    if (cells.some(c => c.r.direction === 'depleted')) {
+        addDirectionLegend(g, legX, gradY + gradH + 24, 'circle', colorFn, theme, textColor, axisColor);
+    }
+
+    return svg;
+}
+
+// ===== GSEA Plots =====
+
+/**
+ * Create a diverging bar chart of normalized enrichment scores (preranked GSEA).
+ * Bars extend right for sets enriched at the top of the ranking and left for the
+ * bottom; color encodes -log10(FDR).
+ */
+function createNESBarChart(results, topN = 20, palette = 'Default', title = 'GSEA') {
+    const data = results.slice(0, topN).sort((a, b) => a.nes - b.nes);
+    if (data.length === 0) return null;
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const gridColor = theme === 'dark' ? '#333333' : '#e0e0e0';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+    const font = "'EB Garamond', Georgia, serif";
+
+    const margin = { top: 50, right: 110, bottom: 58, left: 280 };
+    const barH = 20;
+    const barGap = 7;
+    const plotH = data.length * (barH + barGap) - barGap;
+    const plotW = 440;
+    const width = margin.left + plotW + margin.right;
+    const height = margin.top + plotH + margin.bottom;
+
+    const xMax = niceMax(Math.max(...data.map(d => Math.abs(d.nes))));
+    const xScale = (v) => ((v + xMax) / (2 * xMax)) * plotW;
+    const zeroX = xScale(0);
+
+    const maxLog = Math.max(1, ...data.map(d => -Math.log10(Math.max(d.fdr, 1e-4))));
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+
+    const svg = makeSVG(width, height);
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+    addText(svg, width / 2, 22, title, { size: '14px', weight: '700', fill: textColor, anchor: 'middle', family: font });
+    const sigCount = data.filter(d => d.fdr < 0.25).length;
+    addText(svg, width / 2, 38, `Top ${data.length} sets \u00b7 ${sigCount} significant (FDR < 0.25)`, {
+        size: '10px', fill: textMuted, anchor: 'middle', family: font
+    });
+
+    const g = addGroup(svg, margin.left, margin.top);
+
+    for (const t of niceTicksFor(-xMax, xMax, 4)) {
+        const x = xScale(t);
+        addLine(g, x, -3, x, plotH, gridColor, 0.5, '2,3');
+        addLine(g, x, plotH, x, plotH + 5, axisColor, 1);
+        addText(g, x, plotH + 18, formatTick(t), { size: '10px', fill: textColor, anchor: 'middle', family: font });
+    }
+    addText(svg, margin.left + plotW / 2, height - 10, 'Normalized Enrichment Score (NES)', {
+        size: '11px', fill: textColor, anchor: 'middle', weight: '500', family: font
+    });
+
+    for (let i = 0; i < data.length; i++) {
+        const d = data[i];
+        const y = i * (barH + barGap);
+        const x = xScale(d.nes);
+        const t = -Math.log10(Math.max(d.fdr, 1e-4)) / maxLog;
+        const r = addRect(g, Math.min(x, zeroX), y, Math.max(Math.abs(x - zeroX), 2), barH, colorFn(t, theme));
+        r.setAttribute('rx', '2');
+
+        addText(g, d.nes >= 0 ? x + 4 : x - 4, y + barH / 2 + 1, `n=${d.geneCount}/${d.bgCount}`, {
+            size: '9px', fill: textMuted, anchor: d.nes >= 0 ? 'start' : 'end', baseline: 'middle', family: font
+        });
+        addText(g, -8, y + barH / 2 + 1, truncLabel(d.description, 42), {
+            size: '10px', fill: textColor, anchor: 'end', baseline: 'middle', family: font
+        });
+    }
+
+    addLine(g, zeroX, -3, zeroX, plotH, axisColor, 1.2);
+    addLine(g, 0, plotH, plotW, plotH, axisColor, 1.2);
+
+    // Legend: -log10(FDR) gradient
+    const legendX = plotW + 45;
+    const legendH = Math.min(plotH * 0.5, 100);
+    const legendW = 12;
+    addText(g, legendX + legendW / 2, -6, '\u2212log\u2081\u2080(FDR)', {
+        size: '9px', fill: textColor, anchor: 'middle', weight: '600', family: font
+    });
+    const gradSteps = 20;
+    for (let i = 0; i < gradSteps; i++) {
+        const frac = i / (gradSteps - 1);
+        addRect(g, legendX, frac * legendH, legendW, legendH / gradSteps + 1, colorFn(1 - frac, theme));
+    }
+    addText(g, legendX + legendW + 4, 4, maxLog.toFixed(1), { size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle', family: font });
+    addText(g, legendX + legendW + 4, legendH, '0', { size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle', family: font });
+    addRect(g, legendX, 0, legendW, legendH, 'none').setAttribute('stroke', axisColor);
+
+    return svg;
+}
+
+/**
+ * Create the classic GSEA enrichment plot for one gene set: the running
+ * enrichment score, a barcode of member positions in the ranking, and the
+ * ranked list metric.
+ * @param {number[]} scores - ranked list scores, descending
+ * @param {Object} row - GSEA result row (description, es, nes, fdr, hits)
+ * @param {number[]} curve - running enrichment score at every rank
+ */
+function createRunningScorePlot(scores, row, curve, palette = 'Default', title = 'GSEA') {
+    const N = scores.length;
+    if (!row || N === 0) return null;
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const gridColor = theme === 'dark' ? '#333333' : '#e0e0e0';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+    const font = "'EB Garamond', Georgia, serif";
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+    const lineColor = colorFn(0.85, theme);
+
+    const margin = { top: 56, right: 40, bottom: 50, left: 70 };
+    const plotW = 560;
+    const esH = 180, barcodeH = 32, metricH = 90, gap = 8;
+    const width = margin.left + plotW + margin.right;
+    const height = margin.top + esH + gap + barcodeH + gap + metricH + margin.bottom;
+    const xScale = (i) => (i / Math.max(N - 1, 1)) * plotW;
+
+    const svg = makeSVG(width, height);
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+    addText(svg, width / 2, 22, truncLabel(row.description || row.term, 70), {
+        size: '14px', weight: '700', fill: textColor, anchor: 'middle', family: font
+    });
+    const fdrText = row.fdr < 0.001 ? row.fdr.toExponential(1) : row.fdr.toFixed(3);
+    addText(svg, width / 2, 38, `${title} \u00b7 ES ${row.es.toFixed(3)} \u00b7 NES ${row.nes.toFixed(2)} \u00b7 FDR ${fdrText} \u00b7 ${row.bgCount} genes`, {
+        size: '10px', fill: textMuted, anchor: 'middle', family: font
+    });
+
+    // Per-pixel min/max envelope keeps the path small without losing the peak
+    const envelope = (values) => {
+        const bins = Math.min(values.length, plotW);
+        const pts = [];
+        for (let b = 0; b < bins; b++) {
+            const start = Math.floor(b * values.length / bins);
+            const end = Math.max(start + 1, Math.floor((b + 1) * values.length / bins));
+            let lo = start, hi = start;
+            for (let i = start; i < end; i++) {
+                if (values[i] < values[lo]) lo = i;
+                if (values[i] > values[hi]) hi = i;
+            }
+            for (const i of lo <= hi ? [lo, hi] : [hi, lo]) pts.push([xScale(i), values[i]]);
+        }
+        return pts;
+    };
+
+    // Running enrichment score
+    const esG = addGroup(svg, margin.left, margin.top);
+    const yMin = Math.min(0, ...curve), yMax = Math.max(0, ...curve);
+    const span = (yMax - yMin) || 1;
+    const yLo = yMin - span * 0.05, yHi = yMax + span * 0.05;
+    const yES = (v) => esH - ((v - yLo) / (yHi - yLo)) * esH;
+    for (const t of niceTicksFor(yLo, yHi, 4)) {
+        addLine(esG, 0, yES(t), plotW, yES(t), gridColor, 0.5, '2,3');
+        addText(esG, -6, yES(t), t.toFixed(2), { size: '9px', fill: textColor, anchor: 'end', baseline: 'middle', family: font });
+    }
+    addLine(esG, 0, yES(0), plotW, yES(0), axisColor, 0.8);
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', envelope(curve).map(([x, v], i) => `${i ? 'L' : 'M'}${x.toFixed(1)},${yES(v).toFixed(1)}`).join(''));
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke', lineColor);
+    path.setAttribute('stroke-width', '1.6');
+    esG.appendChild(path);
+
+    // Peak marker
+    let peak = 0;
+    for (let i = 1; i < N; i++) if (Math.abs(curve[i]) > Math.abs(curve[peak])) peak = i;
+    addLine(esG, xScale(peak), 0, xScale(peak), esH, textMuted, 0.8, '4,3');
+    addRect(esG, 0, 0, plotW, esH, 'none').setAttribute('stroke', axisColor);
+    addText(svg, 18, margin.top + esH / 2, 'Enrichment Score', {
+        size: '11px', fill: textColor, anchor: 'middle', weight: '500', family: font
+    }).setAttribute('transform', `rotate(-90, 18, ${margin.top + esH / 2})`);
+
+    // Barcode of set members
+    const bcG = addGroup(svg, margin.left, margin.top + esH + gap);
+    for (const h of row.hits || []) addLine(bcG, xScale(h), 0, xScale(h), barcodeH, textColor, 0.6);
+    addRect(bcG, 0, 0, plotW, barcodeH, 'none').setAttribute('stroke', axisColor);
+
+    // Ranked list metric
+    const mG = addGroup(svg, margin.left, margin.top + esH + gap + barcodeH + gap);
+    const mMax = Math.max(...scores.map(Math.abs)) || 1;
+    const yM = (v) => metricH / 2 - (v / mMax) * (metricH / 2);
+    const metricPts = envelope(scores);
+    const area = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    area.setAttribute('d', `M0,${yM(0)}` + metricPts.map(([x, v]) => `L${x.toFixed(1)},${yM(v).toFixed(1)}`).join('') + `L${plotW},${yM(0)}Z`);
+    area.setAttribute('fill', colorFn(0.45, theme));
+    mG.appendChild(area);
+    addLine(mG, 0, yM(0), plotW, yM(0), axisColor, 0.8);
+    for (const v of [mMax, -mMax]) {
+        addText(mG, -6, yM(v), formatTick(Math.round(v * 100) / 100), { size: '9px', fill: textColor, anchor: 'end', baseline: 'middle', family: font });
+    }
+    addRect(mG, 0, 0, plotW, metricH, 'none').setAttribute('stroke', axisColor);
+    addText(svg, 18, margin.top + esH + gap + barcodeH + gap + metricH / 2, 'Ranked Metric', {
+        size: '11px', fill: textColor, anchor: 'middle', weight: '500', family: font
+    }).setAttribute('transform', `rotate(-90, 18, ${margin.top + esH + gap + barcodeH + gap + metricH / 2})`);
+
+    // Rank axis
+    for (const t of niceTicksFor(0, N - 1, 5)) {
+        const x = xScale(t);
+        addLine(mG, x, metricH, x, metricH + 5, axisColor, 1);
+        addText(mG, x, metricH + 18, String(Math.round(t)), { size: '10px', fill: textColor, anchor: 'middle', family: font });
+    }
+    addText(svg, margin.left + plotW / 2, height - 10, `Rank in ordered list (${N.toLocaleString()} genes)`, {
+        size: '11px', fill: textColor, anchor: 'middle', weight: '500', family: font
+    });
+
+    return svg;
+}
+
+// ===== Depletion Styling =====
+
+/** Depleted terms (fewer query genes than expected) are drawn faded with a dashed outline. */
+function styleDepleted(el, stroke) {
+    el.setAttribute('fill-opacity', '0.35');
+    el.setAttribute('stroke', stroke);
+    el.setAttribute('stroke-width', '1');
+    el.setAttribute('stroke-dasharray', '3,2');
+}
+
+/** Legend telling enriched (solid) from depleted (faded, dashed) marks. */
+function addDirectionLegend(parent, x, y, shape, colorFn, theme, textColor, stroke) {
+    addText(parent, x, y, 'Direction', {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    ['Enriched', 'Depleted'].forEach((label, i) => {
+        const cy = y + 16 + i * 18;
+        const mark = shape === 'circle'
+            ? addCircle(parent, x + 6, cy, 6, colorFn(0.7, theme))
+            : addRect(parent, x, cy - 6, 12, 12, colorFn(0.7, theme));
+        mark.setAttribute('stroke', stroke);
+        mark.setAttribute('stroke-width', '0.5');
+        if (label === 'Depleted') styleDepleted(mark, stroke);
+        addText(parent, x + 18, cy + 1, label, {
+            size: '9px', fill: textColor, anchor: 'start', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+    });
+}
+
+// ===== Faceted Plots =====
+
+/**
+ * Stack plot panels (e.g. one per GO ontology) into one SVG, so the facets
+ * export together as a single figure.
+ * @param {SVGElement[]} panels - SVGs from the create* functions
+ * @returns {SVGElement}
+ */
+function stackPanels(panels, gap = 16) {
+    const sizes = panels.map(p => [parseFloat(p.getAttribute('width')) || 0, parseFloat(p.getAttribute('height')) || 0]);
+    const width = Math.max(...sizes.map(s => s[0]));
+    const height = sizes.reduce((sum, s) => sum + s[1], 0) + gap * (panels.length - 1);
+    const svg = makeSVG(width, height);
+    let y = 0;
+    panels.forEach((panel, i) => {
+        panel.setAttribute('x', 0);
+        panel.setAttribute('y', y);
+        svg.appendChild(panel);
+        y += sizes[i][1] + gap;
+    });
     return svg;
 }
 
@@ -405,6 +900,19 @@ function addText(parent, x, y, content, opts = {}) {
 
 // ===== Axis Utilities =====
 
+/**
+ * -log10 of a row's adjusted p-value. Enrichment rows carry log10Fdr, which stays
+ * exact far below double precision; other rows are floored at 1e-16.
+ */
+function negLog10FDR(d) {
+    return Number.isFinite(d.log10Fdr) ? -d.log10Fdr : -Math.log10(Math.max(d.fdr, 1e-16));
+}
+
+/** -log10 axis/legend label of an adjusted p-value column (FDR, q-value, ...). */
+function logLabel(pLabel) {
+    return `\u2212log\u2081\u2080(${pLabel})`;
+}
+
 function niceMax(val) {
     if (val <= 0) return 1;
     const mag = Math.pow(10, Math.floor(Math.log10(val)));
@@ -567,7 +1075,7 @@ function layoutDendrogram(root, maxHeight, plotW, rowH) {
  * Create a hierarchical clustering dendrogram of enriched terms.
  * Terms are clustered by Jaccard similarity of their gene sets.
  */
-function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enrichment Clustering') {
+function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enrichment Clustering', pLabel = 'FDR') {
     // Filter to terms that have at least one gene (required for Jaccard distance)
     const data = results.filter(r => r.fdr <= 1 && r.genes && r.genes.length > 0).slice(0, topN);
     if (data.length < 2) return null;
@@ -602,10 +1110,10 @@ function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enr
     const layout = layoutDendrogram(tree, maxTreeHeight, plotW, rowH);
 
     // Color scale: âˆ’logâ‚â‚€(FDR) â†’ intensity
-    const maxLogFDR = Math.max(...data.map(d => -Math.log10(Math.max(d.fdr, 1e-16))));
+    const maxLogFDR = Math.max(...data.map(d => negLog10FDR(d)));
     const colorFn = PALETTES[palette] || PALETTES['Default'];
-    const fdrColor = (fdr) => {
-        const logFDR = -Math.log10(Math.max(fdr, 1e-16));
+    const fdrColor = (d) => {
+        const logFDR = negLog10FDR(d);
         const t = maxLogFDR > 0 ? Math.min(logFDR / maxLogFDR, 1) : 0.5;
         return colorFn(t, theme);
     };
@@ -619,7 +1127,7 @@ function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enr
         family: "'EB Garamond', Georgia, serif"
     });
     const sigCount = data.filter(d => d.fdr < 0.05).length;
-    addText(svg, width / 2, 38, `Top ${data.length} terms Â· ${sigCount} significant (FDR < 0.05) Â· Clustered by gene overlap (Jaccard)`, {
+    addText(svg, width / 2, 38, `Top ${data.length} terms Â· ${sigCount} significant (${pLabel} < 0.05) Â· Clustered by gene overlap (Jaccard)`, {
         size: '10px', fill: textMuted, anchor: 'middle',
         family: "'EB Garamond', Georgia, serif"
     });
@@ -639,7 +1147,7 @@ function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enr
     // Draw leaves: colored dot + term label
     for (const leaf of layout.leaves) {
         const d = data[leaf.index];
-        const color = fdrColor(d.fdr);
+        const color = fdrColor(d);
 
         // Colored dot at leaf
         const c = addCircle(g, leaf.x + 4, leaf.y, 5, color);
@@ -697,7 +1205,7 @@ function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enr
     const gradH = Math.min(plotH * 0.4, 80);
     const gradW = 12;
 
-    addText(g, legX, legY - 6, 'âˆ’log\u2081\u2080(FDR)', {
+    addText(g, legX, legY - 6, logLabel(pLabel), {
         size: '9px', fill: textColor, anchor: 'start', weight: '600',
         family: "'EB Garamond', Georgia, serif"
     });
@@ -723,4 +1231,4 @@ function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enr
     return svg;
 }
 
-window.Plots = { createBarChart, createDotPlot, createClusterTree, PALETTES };
+window.Plots = { createBarChart, createDotPlot, createCompareDotPlot, createClusterTree, createNESBarChart, createRunningScorePlot, stackPanels, PALETTES };
@@ -0,0 +1,85 @@
+/**
+ * pomRelate — Service Worker
+ * Precaches the app shell so the tool opens without network access.
+ * Small release files (species list, metadata, manifests, phylogeny, GO ontology) are cached
+ * as they are fetched; species bundles themselves live in IndexedDB (see cache.js).
+ */
+
+const SHELL_CACHE = 'pomrelate-shell-v3';
+const RELEASE_CACHE = 'pomrelate-release-v1';
+
+// Paths relative to the registration scope
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'cache.js',
+    'enrichment.js',
+    'plots.js',
+    'export.js',
+    'network.js',
+    'phylogeny.js',
+    'compute.js',
+    'import.js',
+    'genefile.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icon.svg',
+];
+
+const RELEASE_FILES = [
+    /^data\/species\.json$/,
+    /^data\/metadata\.json$/,
+    /^data\/[^/]+\/manifest\.json$/,
+    /^data\/phylogeny\//,
+    /^data\/go\//,
+];
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (e) => {
+    const keep = [SHELL_CACHE, RELEASE_CACHE];
+    e.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(n => !keep.includes(n)).map(n => caches.delete(n))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (e) => {
+    const req = e.request;
+    if (req.method !== 'GET' || !req.url.startsWith(self.registration.scope)) return;
+
+    const path = new URL(req.url).pathname.slice(new URL(self.registration.scope).pathname.length);
+    if (req.mode === 'navigate' || APP_SHELL.includes(path)) {
+        e.respondWith(networkFirst(req, SHELL_CACHE));
+    } else if (RELEASE_FILES.some(re => re.test(path))) {
+        e.respondWith(networkFirst(req, RELEASE_CACHE));
+    }
+    // Everything else (species chunks, PPI shards) goes straight to the network;
+    // the page keeps those in IndexedDB.
+});
+
+/**
+ * Prefer fresh files so a new release is picked up immediately; fall back to
+ * the cached copy when the server cannot be reached.
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: true })
+            || (request.mode === 'navigate' && await cache.match('index.html'));
+        if (cached) return cached;
+        throw err;
+    }
+}
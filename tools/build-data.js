@@ -0,0 +1,712 @@
+#!/usr/bin/env node
+/**
+ * pomRelate — Data Bundle Builder
+ * Rebuilds data/<taxid>/, data/phylogeny/ and data/go/ from locally downloaded
+ * STRING, KEGG, eggNOG and Gene Ontology flat files, in exactly the formats app.js loads.
+ *
+ * Usage: node tools/build-data.js --config tools/build-data.example.json
+ *
+ * No network access and no npm dependencies: inputs are read from disk
+ * (plain or .gz), outputs are chunked JSON plus manifests with SHA-256 digests.
+ * Every step is an exported function over plain data / line iterables so it can
+ * be exercised against small fixture files.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const DEFAULT_CHUNK_BYTES = 25 * 1024 * 1024;
+const PPI_INDEX_BUCKETS = 1024;
+const GO_CATEGORY = /\(Gene Ontology\)$/;
+const KEGG_CATEGORY = /^KEGG\b/;
+const BUILD_ONLY_SPECIES_KEYS = ['kegg', 'files', 'ppi_shards'];
+
+// ===== Input =====
+
+/** Resolve a raw file, accepting a gzipped copy next to it. */
+function findInput(file) {
+    if (fs.existsSync(file)) return file;
+    if (fs.existsSync(file + '.gz')) return file + '.gz';
+    return null;
+}
+
+/** Stream the lines of a plain or gzipped text file. */
+async function* readLines(file) {
+    let stream = fs.createReadStream(file);
+    if (file.endsWith('.gz')) stream = stream.pipe(zlib.createGunzip());
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of rl) yield line;
+}
+
+/** Iterate non-empty, non-header lines split into columns. */
+async function* rows(lines, separator) {
+    for await (const line of lines) {
+        if (!line || line.startsWith('#')) continue;
+        yield line.split(separator || '\t');
+    }
+}
+
+/** Protein ID as used in the bundles: the STRING/eggNOG ID without its taxid prefix. */
+function stripTaxid(id) {
+    const dot = id.indexOf('.');
+    return dot > 0 && /^\d+$/.test(id.slice(0, dot)) ? id.slice(dot + 1) : id;
+}
+
+// ===== STRING =====
+
+/**
+ * protein.info: `#string_protein_id  preferred_name  protein_size  annotation`
+ * @returns {Promise<Object>} pid -> { name, size, annotation }
+ */
+async function buildInfo(lines) {
+    const info = {};
+    for await (const [id, name, size, annotation] of rows(lines)) {
+        info[stripTaxid(id)] = { name: name || '', size: size || '', annotation: annotation || '' };
+    }
+    return info;
+}
+
+/**
+ * protein.aliases: `#string_protein_id  alias  source`
+ * @returns {Promise<Object>} pid -> sorted unique aliases
+ */
+async function buildAliases(lines) {
+    const sets = {};
+    for await (const [id, alias] of rows(lines)) {
+        if (!alias) continue;
+        const pid = stripTaxid(id);
+        (sets[pid] || (sets[pid] = new Set())).add(alias);
+    }
+    const aliases = {};
+    for (const pid of Object.keys(sets)) aliases[pid] = [...sets[pid]].sort();
+    return aliases;
+}
+
+/**
+ * Lowercase lookup of every preferred name, protein ID and alias.
+ * Preferred names and IDs come first so they win in first-match resolution.
+ * @returns {Object} key -> [pids]
+ */
+function buildNameLookup(info, aliases) {
+    const lookup = {};
+    const add = (key, pid) => {
+        if (!key) return;
+        const k = key.toLowerCase();
+        if (!lookup[k]) lookup[k] = [];
+        if (!lookup[k].includes(pid)) lookup[k].push(pid);
+    };
+    for (const pid of Object.keys(info)) {
+        add(info[pid].name, pid);
+        add(pid, pid);
+    }
+    for (const pid of Object.keys(aliases)) {
+        for (const alias of aliases[pid]) add(alias, pid);
+    }
+    return lookup;
+}
+
+/**
+ * protein.links (space-separated): `protein1 protein2 combined_score`
+ * @param {number} [minScore] - drop links below this combined score
+ * @returns {Promise<Object>} pid -> [{ p, s }] sorted by score desc
+ */
+async function buildPPI(lines, minScore) {
+    const ppi = {};
+    for await (const [a, b, score] of rows(lines, ' ')) {
+        const s = parseInt(score, 10);
+        if (!Number.isFinite(s) || s < (minScore || 0)) continue;
+        const pid = stripTaxid(a);
+        (ppi[pid] || (ppi[pid] = [])).push({ p: stripTaxid(b), s });
+    }
+    for (const pid of Object.keys(ppi)) {
+        ppi[pid].sort((x, y) => y.s - x.s || (x.p < y.p ? -1 : x.p > y.p ? 1 : 0));
+    }
+    return ppi;
+}
+
+/**
+ * protein.enrichment.terms: `#string_protein_id  category  term  description`
+ * GO categories go to `go`, STRING's KEGG category to `keggEnrichment`, the rest to `otherTerms`.
+ * @returns {Promise<Object>} { go, keggEnrichment, otherTerms }, each pid -> [{ term, category, description }]
+ */
+async function buildTerms(lines) {
+    const go = {}, keggEnrichment = {}, otherTerms = {};
+    for await (const [id, category, term, description] of rows(lines)) {
+        if (!term) continue;
+        const target = GO_CATEGORY.test(category) ? go
+            : KEGG_CATEGORY.test(category) ? keggEnrichment
+                : otherTerms;
+        const pid = stripTaxid(id);
+        (target[pid] || (target[pid] = [])).push({ term, category, description: description || '' });
+    }
+    return { go, keggEnrichment, otherTerms };
+}
+
+// ===== KEGG =====
+
+/** Strip KEGG REST prefixes (`path:`, `spo:`). */
+function keggId(id) {
+    return id.slice(id.indexOf(':') + 1);
+}
+
+/**
+ * Pathway names from `list/pathway/<org>`, without the " - <organism>" suffix.
+ * @returns {Promise<Object>} pathway ID -> name
+ */
+async function buildKEGGPathwayNames(lines) {
+    const names = {};
+    for await (const [id, name] of rows(lines)) {
+        if (!name) continue;
+        const suffix = name.lastIndexOf(' - ');
+        names[keggId(id)] = suffix > 0 ? name.slice(0, suffix) : name;
+    }
+    return names;
+}
+
+/**
+ * Gene symbols from `list/<org>` (last column: "SYMBOL, SYN; description").
+ * Genes without a symbol keep their locus tag.
+ * @returns {Promise<Object>} KEGG gene ID (without org prefix) -> symbol
+ */
+async function buildKEGGGeneSymbols(lines) {
+    const symbols = {};
+    for await (const cols of rows(lines)) {
+        const locus = keggId(cols[0]);
+        const names = cols[cols.length - 1] || '';
+        const symbol = names.includes(';') ? names.split(';')[0].split(',')[0].trim() : '';
+        symbols[locus] = symbol || locus;
+    }
+    return symbols;
+}
+
+/**
+ * Gene -> pathways from `link/pathway/<org>` (`spo:SPAC688.04c  path:spo00010`).
+ * @returns {Promise<Object>} { pathways, gene_pathways } as stored in kegg_pathways.json
+ */
+async function buildKEGGPathways(linkLines, pathwayNames, geneSymbols) {
+    const genePathways = {};
+    for await (const [gene, pathway] of rows(linkLines)) {
+        if (!pathway) continue;
+        const locus = keggId(gene);
+        const key = (geneSymbols && geneSymbols[locus]) || locus;
+        const pw = keggId(pathway);
+        if (!genePathways[key]) genePathways[key] = [];
+        if (!genePathways[key].includes(pw)) genePathways[key].push(pw);
+    }
+    for (const key of Object.keys(genePathways)) genePathways[key].sort();
+    return { pathways: pathwayNames, gene_pathways: genePathways };
+}
+
+// ===== Gene Ontology =====
+
+const GO_NAMESPACES = { biological_process: 'BP', molecular_function: 'MF', cellular_component: 'CC' };
+
+/**
+ * go-basic.obo: [Term] stanzas with id, name, namespace, alt_id, is_a and
+ * `relationship: part_of`. Obsolete terms are dropped; parents follow is_a and
+ * part_of, the relations used for annotation propagation (true path rule).
+ * @returns {Promise<Object>} { version, terms: { id: { name, namespace, parents } }, alt_ids: { alt: id } }
+ */
+async function buildGOOntology(lines) {
+    const terms = {}, altIds = {};
+    let version = '';
+    let term = null, alts = [], obsolete = false;
+    const flush = () => {
+        if (term && term.id && !obsolete && GO_NAMESPACES[term.namespace]) {
+            terms[term.id] = { name: term.name || '', namespace: GO_NAMESPACES[term.namespace], parents: term.parents };
+            for (const alt of alts) altIds[alt] = term.id;
+        }
+        term = null;
+        alts = [];
+        obsolete = false;
+    };
+
+    for await (const raw of lines) {
+        const line = raw.trim();
+        if (line.startsWith('[')) {
+            flush();
+            if (line === '[Term]') term = { parents: [] };
+            continue;
+        }
+        const colon = line.indexOf(': ');
+        if (colon < 0) continue;
+        const tag = line.slice(0, colon);
+        const value = line.slice(colon + 2).replace(/\s+!.*$/, '');
+        if (!term) {
+            if (tag === 'data-version') version = value;
+            continue;
+        }
+        if (tag === 'id' || tag === 'name' || tag === 'namespace') term[tag] = value;
+        else if (tag === 'alt_id') alts.push(value);
+        else if (tag === 'is_a') term.parents.push(value);
+        else if (tag === 'relationship' && value.startsWith('part_of ')) term.parents.push(value.slice(8).trim());
+        else if (tag === 'is_obsolete' && value === 'true') obsolete = true;
+    }
+    flush();
+
+    // go-basic never links across namespaces, but other releases may
+    for (const info of Object.values(terms)) {
+        info.parents = [...new Set(info.parents)].filter(p => terms[p] && terms[p].namespace === info.namespace);
+    }
+    return { version, terms, alt_ids: altIds };
+}
+
+// ===== eggNOG =====
+
+/**
+ * Orthogroups from an eggNOG members file:
+ * `level  og  n_proteins  n_species  protein,protein,...  taxid,taxid,...`
+ * Only members of the built species are kept; protein IDs keep their eggNOG taxid prefix.
+ * @param {Object} taxidMap - eggNOG/STRING taxid -> app taxid
+ * @param {Object} namesByTaxid - app taxid -> { pid -> preferred name }
+ * @returns {Promise<Object>} { gene_to_og, og_members }
+ */
+async function buildOrthogroups(lines, taxidMap, namesByTaxid) {
+    const geneToOg = {};
+    const ogMembers = {};
+    for await (const cols of rows(lines)) {
+        const og = cols[1];
+        const proteins = (cols[4] || '').split(',').filter(Boolean);
+        const members = [];
+        for (const gene of proteins) {
+            const species = taxidMap[gene.slice(0, gene.indexOf('.'))];
+            if (!species) continue;
+            const pid = stripTaxid(gene);
+            members.push({ gene, species, name: (namesByTaxid[species] || {})[pid] || '' });
+            if (!geneToOg[gene]) geneToOg[gene] = og;
+        }
+        if (members.length > 0) ogMembers[og] = members;
+    }
+    return { gene_to_og: geneToOg, og_members: ogMembers };
+}
+
+/** Parse Newick into { name, length, children } (lengths kept as strings). */
+function parseNewick(str) {
+    let i = 0;
+    function label() {
+        let s = '';
+        if (str[i] === "'") {
+            const end = str.indexOf("'", i + 1);
+            s = str.slice(i, end + 1);
+            i = end + 1;
+            return s;
+        }
+        while (i < str.length && !'(),:;'.includes(str[i])) s += str[i++];
+        return s.trim();
+    }
+    function node() {
+        const n = { name: '', length: null, children: [] };
+        if (str[i] === '(') {
+            i++;
+            n.children.push(node());
+            while (str[i] === ',') {
+                i++;
+                n.children.push(node());
+            }
+            i++; // ')'
+        }
+        n.name = label();
+        if (str[i] === ':') {
+            i++;
+            n.length = label();
+        }
+        return n;
+    }
+    return node();
+}
+
+function writeNewick(n) {
+    const inner = n.children.length ? '(' + n.children.map(writeNewick).join(',') + ')' : '';
+    return inner + n.name + (n.length !== null ? ':' + n.length : '');
+}
+
+/**
+ * Drop leaves failing `keep` and collapse the resulting single-child nodes,
+ * summing branch lengths.
+ * @returns {Object|null} pruned node, or null when no leaf survives
+ */
+function pruneTree(n, keep) {
+    if (n.children.length === 0) return keep(n.name) ? n : null;
+    n.children = n.children.map(c => pruneTree(c, keep)).filter(Boolean);
+    if (n.children.length === 0) return null;
+    if (n.children.length === 1) {
+        const child = n.children[0];
+        if (n.length !== null || child.length !== null) {
+            const sum = (parseFloat(child.length) || 0) + (parseFloat(n.length) || 0);
+            child.length = String(parseFloat(sum.toPrecision(12)));
+        }
+        return child;
+    }
+    return n;
+}
+
+/**
+ * Gene trees from an eggNOG trees file (`level  og  ...  newick`), restricted
+ * to the given orthogroups and pruned to their members' species.
+ * @returns {Promise<Object>} og -> newick
+ */
+async function buildTrees(lines, ogMembers, taxidMap, prune) {
+    const trees = {};
+    for await (const cols of rows(lines)) {
+        const og = cols[1];
+        if (!ogMembers[og]) continue;
+        let newick = cols[cols.length - 1].trim();
+        if (prune !== false) {
+            const root = pruneTree(parseNewick(newick), name => !!taxidMap[name.replace(/'/g, '').split('.')[0]]);
+            if (!root) continue;
+            root.length = null;
+            newick = writeNewick(root) + ';';
+        }
+        trees[og] = newick;
+    }
+    return trees;
+}
+
+// ===== Sharding =====
+
+/** 32-bit FNV-1a hash over UTF-16 code units; must match fnv1a32() in app.js. */
+function fnv1a32(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Split ppi into `shardCount` shards by protein-ID hash. Buckets are assigned
+ * largest-first to the lightest shard so shards come out roughly equal in size.
+ * @returns {Object} { index, shards } — index is ppi_index.json, shards are ppi_shard_N.json
+ */
+function shardPPI(ppi, shardCount) {
+    const bucketSize = new Array(PPI_INDEX_BUCKETS).fill(0);
+    for (const pid of Object.keys(ppi)) {
+        bucketSize[fnv1a32(pid) % PPI_INDEX_BUCKETS] += pid.length + JSON.stringify(ppi[pid]).length;
+    }
+    const order = bucketSize.map((size, b) => b).sort((a, b) => bucketSize[b] - bucketSize[a] || a - b);
+    const shardSize = new Array(shardCount).fill(0);
+    const bucketShard = new Array(PPI_INDEX_BUCKETS).fill(0);
+    for (const b of order) {
+        let lightest = 0;
+        for (let s = 1; s < shardCount; s++) if (shardSize[s] < shardSize[lightest]) lightest = s;
+        bucketShard[b] = lightest;
+        shardSize[lightest] += bucketSize[b];
+    }
+
+    const shards = Array.from({ length: shardCount }, () => ({}));
+    for (const pid of Object.keys(ppi)) {
+        shards[bucketShard[fnv1a32(pid) % PPI_INDEX_BUCKETS]][pid] = ppi[pid];
+    }
+    return { index: { hash: 'fnv1a32', buckets: PPI_INDEX_BUCKETS, bucket_shard: bucketShard }, shards };
+}
+
+/**
+ * Split an object into chunks whose serialized size stays under maxBytes.
+ * @returns {Object[]} at least one chunk
+ */
+function chunkRecords(obj, maxBytes) {
+    const chunks = [{}];
+    let size = 2;
+    for (const key of Object.keys(obj)) {
+        const entry = JSON.stringify(key).length + JSON.stringify(obj[key]).length + 2;
+        if (size + entry > maxBytes && size > 2) {
+            chunks.push({});
+            size = 2;
+        }
+        chunks[chunks.length - 1][key] = obj[key];
+        size += entry;
+    }
+    return chunks;
+}
+
+// ===== Output =====
+
+/**
+ * Write a JSON file and describe it for the manifest.
+ * @returns {Object} { sha256, records }
+ */
+function writeJSON(file, data, pretty) {
+    const text = pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+    const buffer = Buffer.from(text, 'utf8');
+    fs.writeFileSync(file, buffer);
+    return {
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        records: data && typeof data === 'object' ? Object.keys(data).length : 0,
+    };
+}
+
+/**
+ * Write one stem as `stem.json` or `stem_0.json` … and record it in the manifest.
+ * @returns {number} chunk count
+ */
+function writeChunked(dir, stem, data, maxBytes, manifest) {
+    const chunks = chunkRecords(data, maxBytes);
+    chunks.forEach((chunk, i) => {
+        const file = chunks.length === 1 ? `${stem}.json` : `${stem}_${i}.json`;
+        manifest.integrity[file] = writeJSON(path.join(dir, file), chunk);
+    });
+    manifest[stem] = chunks.length;
+    return chunks.length;
+}
+
+/** Remove JSON files left over from a previous build of this species. */
+function cleanSpeciesDir(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const file of fs.readdirSync(dir)) {
+        if (file.endsWith('.json')) fs.unlinkSync(path.join(dir, file));
+    }
+}
+
+/** Manifest keys sorted like the shipped manifests, integrity last. */
+function sortManifest(manifest) {
+    const sorted = {};
+    for (const key of Object.keys(manifest).filter(k => k !== 'integrity').sort()) sorted[key] = manifest[key];
+    sorted.integrity = {};
+    for (const file of Object.keys(manifest.integrity).sort()) sorted.integrity[file] = manifest.integrity[file];
+    return sorted;
+}
+
+// ===== Build =====
+
+/** Default raw file locations for a species; any can be overridden in config `files`. */
+function speciesFiles(input, sp) {
+    const t = sp.string_taxid || sp.taxid;
+    const org = sp.kegg;
+    return {
+        info: path.join(input, 'string', `${t}.protein.info.v12.0.txt`),
+        aliases: path.join(input, 'string', `${t}.protein.aliases.v12.0.txt`),
+        links: path.join(input, 'string', `${t}.protein.links.v12.0.txt`),
+        terms: path.join(input, 'string', `${t}.protein.enrichment.terms.v12.0.txt`),
+        keggLink: org ? path.join(input, 'kegg', `link_pathway_${org}.tsv`) : null,
+        keggPathways: org ? path.join(input, 'kegg', `list_pathway_${org}.tsv`) : null,
+        keggGenes: org ? path.join(input, 'kegg', `list_${org}.tsv`) : null,
+        ...(sp.files || {}),
+    };
+}
+
+/** Read a raw file through `builder`, or return `fallback` when it is missing. */
+async function fromFile(file, builder, fallback, log) {
+    const found = file && findInput(file);
+    if (!found) {
+        if (file) log(`  missing ${file}, skipping`);
+        return fallback;
+    }
+    return builder(readLines(found));
+}
+
+/**
+ * Build one species directory.
+ * @returns {Promise<Object>} pid -> preferred name, for orthogroup member labels
+ */
+async function buildSpecies(sp, config, log) {
+    const files = speciesFiles(config.input, sp);
+    const dir = path.join(config.output, sp.taxid);
+    const maxBytes = config.chunkBytes || DEFAULT_CHUNK_BYTES;
+    log(`${sp.taxid} ${sp.compact_name}`);
+
+    const info = await fromFile(files.info, buildInfo, {}, log);
+    const aliases = await fromFile(files.aliases, buildAliases, {}, log);
+    const ppi = await fromFile(files.links, lines => buildPPI(lines, config.minScore), {}, log);
+    const terms = await fromFile(files.terms, buildTerms, { go: {}, keggEnrichment: {}, otherTerms: {} }, log);
+    const pathwayNames = await fromFile(files.keggPathways, buildKEGGPathwayNames, {}, log);
+    const geneSymbols = await fromFile(files.keggGenes, buildKEGGGeneSymbols, null, log);
+    const keggPathways = await fromFile(files.keggLink,
+        lines => buildKEGGPathways(lines, pathwayNames, geneSymbols), { pathways: {}, gene_pathways: {} }, log);
+
+    cleanSpeciesDir(dir);
+    const manifest = { integrity: {} };
+    writeChunked(dir, 'aliases', aliases, maxBytes, manifest);
+    writeChunked(dir, 'name_lookup', buildNameLookup(info, aliases), maxBytes, manifest);
+    writeChunked(dir, 'info', info, maxBytes, manifest);
+    writeChunked(dir, 'go', terms.go, maxBytes, manifest);
+    writeChunked(dir, 'kegg_enrichment', terms.keggEnrichment, maxBytes, manifest);
+    writeChunked(dir, 'kegg_pathways', keggPathways, Infinity, manifest);
+    writeChunked(dir, 'other_terms', terms.otherTerms, maxBytes, manifest);
+
+    const shardCount = sp.ppi_shards || config.ppiShards || 0;
+    if (shardCount > 1) {
+        const { index, shards } = shardPPI(ppi, shardCount);
+        manifest.integrity['ppi_index.json'] = writeJSON(path.join(dir, 'ppi_index.json'), index);
+        manifest.ppi_index = 1;
+        shards.forEach((shard, i) => {
+            manifest.integrity[`ppi_shard_${i}.json`] = writeJSON(path.join(dir, `ppi_shard_${i}.json`), shard);
+        });
+        manifest.ppi_shards = shardCount;
+    } else {
+        writeChunked(dir, 'ppi', ppi, maxBytes, manifest);
+    }
+
+    writeJSON(path.join(dir, 'manifest.json'), sortManifest(manifest), true);
+    log(`  ${Object.keys(info).length} proteins, ${Object.keys(ppi).length} with interactions`);
+
+    const names = {};
+    for (const pid of Object.keys(info)) names[pid] = info[pid].name;
+    return names;
+}
+
+/** Build data/phylogeny/ from eggNOG members and trees. */
+async function buildPhylogeny(config, namesByTaxid, log) {
+    const eggnog = config.eggnog;
+    const dir = path.join(config.output, 'phylogeny');
+    const maxBytes = config.chunkBytes || DEFAULT_CHUNK_BYTES;
+    const level = eggnog.level || '2759';
+
+    // eggNOG IDs may use STRING's strain-level taxids (e.g. 284812 for S. pombe)
+    const taxidMap = {};
+    for (const sp of config.species) {
+        taxidMap[sp.taxid] = sp.taxid;
+        if (sp.string_taxid) taxidMap[sp.string_taxid] = sp.taxid;
+    }
+
+    const membersFile = findInput(path.join(config.input, 'eggnog', eggnog.members || `${level}_members.tsv`));
+    const treesFile = findInput(path.join(config.input, 'eggnog', eggnog.trees || `${level}_trees.tsv`));
+    if (!membersFile) {
+        log('eggNOG members file missing, skipping phylogeny');
+        return;
+    }
+    log('phylogeny');
+
+    const orthogroups = await buildOrthogroups(readLines(membersFile), taxidMap, namesByTaxid);
+    const trees = treesFile
+        ? await buildTrees(readLines(treesFile), orthogroups.og_members, taxidMap, eggnog.prune)
+        : {};
+
+    fs.mkdirSync(dir, { recursive: true });
+    for (const file of fs.readdirSync(dir)) {
+        if (/^trees(_\d+)?\.json$/.test(file)) fs.unlinkSync(path.join(dir, file));
+    }
+    writeJSON(path.join(dir, 'orthogroups.json'), orthogroups);
+    const treeChunks = chunkRecords(trees, maxBytes).map((chunk, i) => {
+        writeJSON(path.join(dir, `trees_${i}.json`), chunk);
+        return `trees_${i}.json`;
+    });
+
+    const taxidNames = {};
+    for (const sp of config.species) {
+        taxidNames[sp.taxid] = sp.compact_name;
+        if (sp.string_taxid) taxidNames[sp.string_taxid] = sp.compact_name;
+    }
+    writeJSON(path.join(dir, 'taxid_names.json'), taxidNames, true);
+    const taxids = config.species.map(sp => sp.taxid).sort();
+    fs.writeFileSync(path.join(dir, 'species_tree.nwk'), `(${taxids.map(t => `${t}:0.1`).join(',')});`);
+
+    const ogCount = Object.keys(orthogroups.og_members).length;
+    writeJSON(path.join(dir, 'metadata.json'), {
+        source: 'STRING + eggNOG',
+        string_version: config.stringVersion || 'v12.0',
+        eggnog_version: eggnog.version || '7.0',
+        taxonomy_level: level,
+        taxonomy_name: eggnog.levelName || 'Eukaryota',
+        description: eggnog.description || '',
+        tree_method: eggnog.treeMethod || '',
+        species_count: config.species.length,
+        orthogroup_count: ogCount,
+        gene_count: Object.keys(orthogroups.gene_to_og).length,
+        tree_count: Object.keys(trees).length,
+        tree_chunks: treeChunks,
+        version: config.toolVersion,
+        generated_date: config.downloadDate,
+        url: 'https://string-db.org / https://eggnogdb.org',
+        citations: eggnog.citations || [],
+    }, true);
+    log(`  ${ogCount} orthogroups, ${Object.keys(trees).length} trees`);
+}
+
+/** Build data/go/ontology.json from go-basic.obo. */
+async function buildGO(config, log) {
+    const oboFile = findInput(path.join(config.input, 'go', config.goObo || 'go-basic.obo'));
+    if (!oboFile) {
+        log('go-basic.obo missing, skipping GO ontology');
+        return;
+    }
+    log('GO ontology');
+    const ontology = await buildGOOntology(readLines(oboFile));
+    const dir = path.join(config.output, 'go');
+    fs.mkdirSync(dir, { recursive: true });
+    writeJSON(path.join(dir, 'ontology.json'), ontology);
+    log(`  ${Object.keys(ontology.terms).length} terms (${ontology.version || 'unversioned'})`);
+}
+
+/** Run the whole build described by a config object. */
+async function build(config, log) {
+    log = log || (() => {});
+    if (!config.downloadDate || !config.toolVersion) {
+        throw new Error('config needs downloadDate and toolVersion (they version the cached bundles)');
+    }
+    fs.mkdirSync(config.output, { recursive: true });
+
+    const namesByTaxid = {};
+    for (const sp of config.species) {
+        namesByTaxid[sp.taxid] = await buildSpecies(sp, config, log);
+    }
+    if (config.eggnog) await buildPhylogeny(config, namesByTaxid, log);
+    await buildGO(config, log);
+
+    const speciesList = config.species.map(sp => {
+        const entry = { ...sp };
+        for (const key of BUILD_ONLY_SPECIES_KEYS) delete entry[key];
+        return entry;
+    });
+    writeJSON(path.join(config.output, 'species.json'), speciesList, true);
+    writeJSON(path.join(config.output, 'metadata.json'), {
+        databases: config.databases || {},
+        download_date: config.downloadDate,
+        tool_version: config.toolVersion,
+    }, true);
+}
+
+/** Read a config file; relative input/output paths resolve against it. */
+function loadConfig(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const base = path.dirname(path.resolve(file));
+    config.input = path.resolve(base, config.input || 'raw');
+    config.output = path.resolve(base, config.output || '../data');
+    return config;
+}
+
+// ===== CLI =====
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const at = args.indexOf('--config');
+    if (at === -1 || !args[at + 1]) {
+        console.error('Usage: node tools/build-data.js --config <config.json>');
+        process.exit(1);
+    }
+    build(loadConfig(args[at + 1]), msg => console.log(msg)).catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    readLines,
+    buildInfo,
+    buildAliases,
+    buildNameLookup,
+    buildPPI,
+    buildTerms,
+    buildKEGGPathwayNames,
+    buildKEGGGeneSymbols,
+    buildKEGGPathways,
+    buildGOOntology,
+    buildOrthogroups,
+    buildTrees,
+    parseNewick,
+    writeNewick,
+    pruneTree,
+    fnv1a32,
+    shardPPI,
+    chunkRecords,
+    buildSpecies,
+    buildPhylogeny,
+    buildGO,
+    build,
+    loadConfig,
+};
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * pomRelate — Data Builder Checks
+ * Builds the fixture inputs in tools/fixtures/ into a temporary directory and
+ * checks the output against what the app loads: every file the manifests list
+ * (digests and record counts, as verified by loadBundle()), the record shapes of
+ * the shipped data/<taxid>/ files, and data/phylogeny/ and data/go/ as read by
+ * loadPhylogenyData() and loadGOOntology().
+ *
+ * Usage: node tools/check-build-data.js
+ *
+ * No network access and no npm dependencies; exits non-zero when a check fails.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const assert = require('assert');
+const builder = require('./build-data');
+
+const FIXTURE_CONFIG = path.join(__dirname, 'fixtures', 'build-data.fixture.json');
+const SHIPPED_DATA = path.join(__dirname, '..', 'data');
+
+// Stems read by loadBundle() in app.js
+const BUNDLE_STEMS = ['aliases', 'name_lookup', 'info', 'go', 'kegg_enrichment', 'kegg_pathways', 'other_terms'];
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+// ===== Helpers =====
+
+const readJSON = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+/**
+ * Read a stem like loadChunkedJSON(): `stem.json` or `stem_0.json` … merged,
+ * each file checked against its manifest digest and record count.
+ */
+function readStem(dir, manifest, stem) {
+    const count = manifest[stem] || 1;
+    const files = count <= 1 ? [`${stem}.json`] : Array.from({ length: count }, (_, i) => `${stem}_${i}.json`);
+    const merged = {};
+    for (const file of files) {
+        const buffer = fs.readFileSync(path.join(dir, file));
+        const expected = manifest.integrity[file];
+        assert.ok(expected, `${file} missing from the manifest integrity map`);
+        assert.strictEqual(crypto.createHash('sha256').update(buffer).digest('hex'), expected.sha256, `${file}: SHA-256 mismatch`);
+        const data = JSON.parse(buffer.toString('utf8'));
+        assert.strictEqual(Object.keys(data).length, expected.records, `${file}: record count mismatch`);
+        Object.assign(merged, data);
+    }
+    return merged;
+}
+
+/** Type outline of a value: keys and value types of objects, the first element of arrays. */
+function shape(value) {
+    if (Array.isArray(value)) return value.length ? [shape(value[0])] : [];
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const key of Object.keys(value).sort()) out[key] = shape(value[key]);
+        return out;
+    }
+    return typeof value;
+}
+
+/** Shape of the first record of a map (pid -> record). */
+const recordShape = (map) => shape(map[Object.keys(map)[0]]);
+
+// ===== Build =====
+
+let out = null;
+
+async function buildFixtures() {
+    const config = builder.loadConfig(FIXTURE_CONFIG);
+    out = fs.mkdtempSync(path.join(os.tmpdir(), 'pomrelate-build-'));
+    config.output = out;
+    await builder.build(config);
+}
+
+// ===== Species Bundles =====
+
+check('manifests list every bundle file with matching digests', () => {
+    for (const taxid of ['4896', '4932']) {
+        const dir = path.join(out, taxid);
+        const manifest = readJSON(path.join(dir, 'manifest.json'));
+        for (const stem of BUNDLE_STEMS) {
+            assert.ok(Number.isInteger(manifest[stem]) && manifest[stem] >= 1, `${taxid}: no chunk count for ${stem}`);
+            readStem(dir, manifest, stem);
+        }
+        const listed = Object.keys(manifest.integrity).concat('manifest.json').sort();
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), listed, `${taxid}: files not in the manifest`);
+    }
+});
+
+check('small chunkBytes splits files into chunks', () => {
+    const manifest = readJSON(path.join(out, '4896', 'manifest.json'));
+    assert.ok(manifest.info > 1, `info in ${manifest.info} chunk(s)`);
+    assert.strictEqual(manifest.kegg_pathways, 1, 'kegg_pathways is never chunked');
+});
+
+check('record shapes match the shipped bundles', () => {
+    const dir = path.join(out, '4896');
+    const manifest = readJSON(path.join(dir, 'manifest.json'));
+    let compared = 0;
+    for (const stem of BUNDLE_STEMS) {
+        const shipped = path.join(SHIPPED_DATA, '4896', `${stem}.json`);
+        if (!fs.existsSync(shipped)) continue;
+        const built = readStem(dir, manifest, stem);
+        const reference = readJSON(shipped);
+        if (stem === 'kegg_pathways') {
+            assert.deepStrictEqual(Object.keys(built).sort(), Object.keys(reference).sort(), 'kegg_pathways keys');
+            assert.deepStrictEqual(recordShape(built.gene_pathways), recordShape(reference.gene_pathways), 'gene_pathways records');
+            assert.deepStrictEqual(recordShape(built.pathways), recordShape(reference.pathways), 'pathway names');
+        } else if (Object.keys(reference).length > 0) {
+            assert.deepStrictEqual(recordShape(built), recordShape(reference), `${stem} records`);
+        }
+        compared++;
+    }
+    const shippedManifest = readJSON(path.join(SHIPPED_DATA, '4896', 'manifest.json'));
+    for (const stem of Object.keys(shippedManifest).filter(k => k !== 'integrity')) {
+        assert.ok(stem in manifest, `shipped manifest key ${stem} not written`);
+    }
+    assert.ok(compared > 0, 'no shipped files to compare with');
+});
+
+check('STRING files: IDs, aliases, name lookup, interactions and terms', () => {
+    const dir = path.join(out, '4896');
+    const manifest = readJSON(path.join(dir, 'manifest.json'));
+    const info = readStem(dir, manifest, 'info');
+    assert.deepStrictEqual(info['SPBC11B10.09'], { name: 'cdc2', size: '297', annotation: 'Cyclin-dependent kinase; Controls the G1/S and G2/M transitions' });
+    assert.deepStrictEqual(readStem(dir, manifest, 'aliases')['SPBC11B10.09'], ['CDC2_SCHPO', 'P04551', 'cdk1']);
+
+    // Preferred names win over aliases in first-match resolution
+    const lookup = readStem(dir, manifest, 'name_lookup');
+    assert.deepStrictEqual(lookup.cdc2, ['SPBC11B10.09', 'SPAC24H6.05']);
+    assert.deepStrictEqual(lookup['spbc11b10.09'], ['SPBC11B10.09']);
+
+    // Sorted by score; links below minScore dropped
+    const ppi = readStem(dir, manifest, 'ppi');
+    assert.deepStrictEqual(ppi['SPBC11B10.09'].map(l => l.p), ['SPBC582.03', 'SPCC18B5.03', 'SPAC24H6.05']);
+    assert.deepStrictEqual(ppi['SPCC18B5.03'], [{ p: 'SPBC11B10.09', s: 950 }]);
+
+    const go = readStem(dir, manifest, 'go');
+    assert.deepStrictEqual(go['SPBC11B10.09'].map(t => t.term), ['GO:0000086', 'GO:0004693']);
+    assert.deepStrictEqual(go['SPBC11B10.09'][0], { term: 'GO:0000086', category: 'Biological Process (Gene Ontology)', description: 'G2/M transition of mitotic cell cycle' });
+    assert.deepStrictEqual(Object.keys(readStem(dir, manifest, 'kegg_enrichment')), ['SPBC11B10.09']);
+    const other = readStem(dir, manifest, 'other_terms');
+    assert.deepStrictEqual(other['SPBC11B10.09'].map(t => t.term), ['PF00069']);
+    assert.strictEqual(other['SPAC24H6.05'][0].category, 'Local Network Cluster (STRING)');
+});
+
+check('KEGG files: pathway names and genes keyed by symbol', () => {
+    const dir = path.join(out, '4896');
+    const kegg = readStem(dir, readJSON(path.join(dir, 'manifest.json')), 'kegg_pathways');
+    assert.deepStrictEqual(kegg.pathways, { spo04110: 'Cell cycle - yeast', spo04011: 'MAPK signaling pathway - yeast' });
+    assert.deepStrictEqual(kegg.gene_pathways, {
+        cdc2: ['spo04011', 'spo04110'],
+        cdc13: ['spo04110'],
+        'SPAC24H6.05': ['spo04110'],
+    });
+});
+
+check('sharded interactions: index and shards as read by ensurePPI()', () => {
+    const dir = path.join(out, '4932');
+    const manifest = readJSON(path.join(dir, 'manifest.json'));
+    assert.strictEqual(manifest.ppi_shards, 2);
+    assert.ok(!('ppi' in manifest), 'sharded species also wrote ppi.json');
+    const index = readStem(dir, manifest, 'ppi_index');
+    assert.strictEqual(index.hash, 'fnv1a32');
+    assert.strictEqual(index.bucket_shard.length, index.buckets);
+    const shards = [0, 1].map(n => readStem(dir, manifest, `ppi_shard_${n}`));
+    for (const pid of ['YBR160W', 'YJL187C']) {
+        const shard = index.bucket_shard[builder.fnv1a32(pid) % index.buckets];
+        assert.ok(shards[shard][pid], `${pid} not in shard ${shard}`);
+    }
+    // No KEGG organism code: an empty pathway map, not a missing file
+    assert.deepStrictEqual(readStem(dir, manifest, 'kegg_pathways'), { pathways: {}, gene_pathways: {} });
+});
+
+// ===== Release Files =====
+
+check('species.json and metadata.json', () => {
+    const species = readJSON(path.join(out, 'species.json'));
+    assert.deepStrictEqual(species.map(s => s.taxid), ['4896', '4932']);
+    assert.ok(species.every(s => !('ppi_shards' in s) && !('kegg' in s)), 'build-only keys left in species.json');
+    const metadata = readJSON(path.join(out, 'metadata.json'));
+    assert.deepStrictEqual(Object.keys(metadata).sort(), Object.keys(readJSON(path.join(SHIPPED_DATA, 'metadata.json'))).sort());
+    assert.strictEqual(metadata.download_date, '2026-01-01');
+});
+
+check('phylogeny: orthogroups, pruned trees and metadata', () => {
+    const dir = path.join(out, 'phylogeny');
+    const orthogroups = readJSON(path.join(dir, 'orthogroups.json'));
+    assert.deepStrictEqual(Object.keys(orthogroups.og_members).sort(), ['KOG0594', 'KOG0601']);
+    assert.strictEqual(orthogroups.gene_to_og['284812.SPBC11B10.09'], 'KOG0594');
+    assert.deepStrictEqual(orthogroups.og_members.KOG0594[0], { gene: '284812.SPBC11B10.09', species: '4896', name: 'cdc2' });
+
+    const meta = readJSON(path.join(dir, 'metadata.json'));
+    const trees = Object.assign({}, ...meta.tree_chunks.map(f => readJSON(path.join(dir, f))));
+    assert.strictEqual(trees.KOG0594, '(284812.SPBC11B10.09:0.1,4932.YBR160W:0.2);');
+    assert.strictEqual(meta.tree_count, Object.keys(trees).length);
+    assert.strictEqual(readJSON(path.join(dir, 'taxid_names.json'))['284812'], 'Schizosaccharomyces pombe');
+});
+
+check('GO ontology: parents, alternative IDs and obsolete terms', () => {
+    const ontology = readJSON(path.join(out, 'go', 'ontology.json'));
+    assert.strictEqual(ontology.version, 'releases/2026-01-01');
+    assert.deepStrictEqual(ontology.terms['GO:0000086'], { name: 'G2/M transition of mitotic cell cycle', namespace: 'BP', parents: ['GO:0007049'] });
+    assert.deepStrictEqual(ontology.terms['GO:0004693'].parents, ['GO:0003674'], 'cross-namespace part_of kept');
+    assert.ok(!ontology.terms['GO:0000001'], 'obsolete term kept');
+    assert.deepStrictEqual(ontology.alt_ids, { 'GO:0000087': 'GO:0000086' });
+});
+
+check('rebuilding gives identical output', async () => {
+    const digest = (dir) => {
+        const hash = crypto.createHash('sha256');
+        const walk = (d) => {
+            for (const entry of fs.readdirSync(d, { withFileTypes: true }).sort((a, b) => (a.name < b.name ? -1 : 1))) {
+                const file = path.join(d, entry.name);
+                if (entry.isDirectory()) walk(file);
+                else hash.update(path.relative(dir, file)).update(fs.readFileSync(file));
+            }
+        };
+        walk(dir);
+        return hash.digest('hex');
+    };
+    const first = digest(out);
+    const config = builder.loadConfig(FIXTURE_CONFIG);
+    config.output = out;
+    await builder.build(config);
+    assert.strictEqual(digest(out), first);
+});
+
+// ===== Run =====
+
+async function main() {
+    let failed = 0;
+    try {
+        await buildFixtures();
+        for (const { name, fn } of checks) {
+            try {
+                await fn();
+                console.log(`ok   ${name}`);
+            } catch (err) {
+                failed++;
+                console.log(`FAIL ${name}\n     ${err.message}`);
+            }
+        }
+    } finally {
+        if (out) fs.rmSync(out, { recursive: true, force: true });
+    }
+    console.log(`${checks.length - failed}/${checks.length} checks passed`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * pomRelate — Enrichment Regression Checks
+ * Loads enrichment.js outside the browser and checks statistical edge cases
+ * against known answers.
+ *
+ * Usage: node tools/check-enrichment.js
+ *
+ * No npm dependencies. Every check runs; the exit code is non-zero if any failed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+function loadEnrichment() {
+    const sandbox = { console };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'enrichment.js'), 'utf8'), sandbox);
+    return sandbox.Enrichment;
+}
+
+const Enrichment = loadEnrichment();
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+// ===== Multiple-testing Corrections =====
+
+check('q-values: pi0 stays above 0 when every p-value is below lambda', () => {
+    const rows = [0.01, 0.02, 0.03, 0.04, 0.05].map(pValue => ({ pValue }));
+    const { pi0 } = Enrichment.adjustPValues(rows, rows.length, 'qvalue');
+    // pi0 = (0 + 1) / (5 * 0.5); BH values are all 0.05
+    assert.ok(Math.abs(pi0 - 0.4) < 1e-12, `pi0 = ${pi0}`);
+    for (const r of rows) {
+        assert.ok(Number.isFinite(r.log10Fdr), `log10 q = ${r.log10Fdr} for p = ${r.pValue}`);
+        assert.ok(Math.abs(r.fdr - 0.02) < 1e-12, `q = ${r.fdr} for p = ${r.pValue}`);
+    }
+});
+
+check('q-values: never above BH', () => {
+    const ps = [0.001, 0.01, 0.2, 0.6, 0.7, 0.9];
+    const bh = ps.map(pValue => ({ pValue }));
+    const q = ps.map(pValue => ({ pValue }));
+    Enrichment.adjustPValues(bh, ps.length, 'bh');
+    Enrichment.adjustPValues(q, ps.length, 'qvalue');
+    q.forEach((r, i) => assert.ok(r.fdr <= bh[i].fdr + 1e-12, `q ${r.fdr} > BH ${bh[i].fdr}`));
+});
+
+// ===== Decorrelated GO Tests =====
+
+/** root -> A -> {A1, A2}, root -> B over 2,000 genes, every gene under root. */
+function smallGOGraph() {
+    const term = (name, parents) => ({ name, namespace: 'BP', parents });
+    const ontology = {
+        terms: {
+            'GO:0000001': term('root', []),
+            'GO:0000002': term('A', ['GO:0000001']),
+            'GO:0000003': term('A1', ['GO:0000002']),
+            'GO:0000004': term('A2', ['GO:0000002']),
+            'GO:0000005': term('B', ['GO:0000001']),
+        },
+        alt_ids: {},
+    };
+    const goData = {};
+    for (let i = 0; i < 2000; i++) {
+        const id = i < 100 ? 'GO:0000003' : i < 200 ? 'GO:0000004' : i < 400 ? 'GO:0000005' : 'GO:0000001';
+        goData[`g${i}`] = [{ term: id, description: '', category: 'Biological Process (Gene Ontology)' }];
+    }
+    // Strong in A1, a little in A2, the rest spread over the root
+    const query = [];
+    for (let i = 0; i < 40; i++) query.push(`g${i}`);
+    for (let i = 100; i < 105; i++) query.push(`g${i}`);
+    for (let i = 1000; i < 1040; i++) query.push(`g${i}`);
+    return { ontology, goData, query };
+}
+
+check('weight: counts stay positive and match the listed genes', () => {
+    const { ontology, goData, query } = smallGOGraph();
+    const { results, algorithm } = Enrichment.runGOEnrichment(query, goData, null, { ontology, algorithm: 'weight' });
+    assert.strictEqual(algorithm, 'weight');
+    const byName = Object.fromEntries(results.map(r => [r.description, r]));
+    for (const name of ['root', 'A', 'A1', 'A2']) {
+        const r = byName[name];
+        assert.ok(r, `${name} missing`);
+        assert.ok(r.bgCount >= 1, `${name}: K = ${r.bgCount}`);
+        assert.ok(r.geneCount >= 1 && r.genes.length > 0, `${name}: k = ${r.geneCount} with ${r.genes.length} genes`);
+        assert.ok(r.geneCount <= r.bgCount, `${name}: k ${r.geneCount} > K ${r.bgCount}`);
+    }
+    // A1 carries the signal; its parents are down-weighted, not emptied
+    assert.ok(byName.A1.log10P < byName.A.log10P, 'A1 not stronger than A');
+    assert.ok(byName.root.bgCount > 100, `root K = ${byName.root.bgCount}`);
+});
+
+// ===== Run =====
+
+let failed = 0;
+for (const { name, fn } of checks) {
+    try {
+        fn();
+        console.log(`ok   ${name}`);
+    } catch (err) {
+        failed++;
+        console.log(`FAIL ${name}\n     ${err.message}`);
+    }
+}
+console.log(`${checks.length - failed}/${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;